@@ -11,7 +11,18 @@
  * @returns {Fabric} Fabric constructor
 **/
 
-(function() {
+(function(root, factory) {
+	//AMD, then CommonJS, and otherwise a global, both on the _u_ namespace like the other libs
+	//and as the plain Fabric global that it has always been
+	if(typeof define === "function" && define.amd) {
+		define([], factory);
+	} else if(typeof module === "object" && module.exports) {
+		module.exports = factory();
+	} else {
+		root._u_ = root._u_ || {};
+		root._u_.Fabric = root.Fabric = factory();
+	}
+})(typeof self !== "undefined" ? self : this, function() {
 
 	/**
 	 * Shimming some of the utils functions so that this library doesn't need to have any dependencies
@@ -213,14 +224,15 @@
 			//find a binding for the urn match, this is why you have to pass the same urn string as used to subscribe
 			var binding = bindings[args.urn];
 			if(binding) {
-				for(var i = 0; i < binding.subs.length; i++) {
+				//walk backwards so that splicing doesn't shift the subs we have yet to look at
+				for(var i = binding.subs.length - 1; i >= 0; i--) {
 					//match the key directly as a string compare
 					if(args.key && args.key == binding.subs[i].key) {
-						delete bindings[args.urn][i];
+						binding.subs.splice(i, 1);
 					} 
 					//or match the callback as a function compare 
 					else if (args.callback && args.callback == binding.subs[i].callback) {
-						delete bindings[args.urn][i];
+						binding.subs.splice(i, 1);
 					}
 				}
 				return args;
@@ -599,5 +611,5 @@
 		}
 	});
 
-	self.Fabric = Fabric;
-})();
+	return Fabric;
+});
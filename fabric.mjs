@@ -0,0 +1,8 @@
+/**
+ * ES module entry point for Fabric.js, which is itself a UMD file.  Node and bundlers hand the
+ * 		CommonJS export of fabric.js over as the default export, and we also re-export it by name.
+**/
+import Fabric from "./fabric.js";
+
+export { Fabric };
+export default Fabric;
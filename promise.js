@@ -12,7 +12,17 @@
  *        but that cost in very few instnaces is merited by the encapsulation gains
  * @returns {Deferred} Deferred constructor
 **/
-(function() {
+(function(root, factory) {
+	//AMD, then CommonJS, and otherwise hang it off of the _u_ global like we always have
+	if(typeof define === "function" && define.amd) {
+		define([], factory);
+	} else if(typeof module === "object" && module.exports) {
+		module.exports = factory();
+	} else {
+		root._u_ = root._u_ || {};
+		root._u_.Dfd = factory();
+	}
+})(typeof self !== "undefined" ? self : this, function() {
 	//temp helper function since this promise lib should be stand alone and not dependant on any
 	//unerscore or utility library
 	function extend(dest, source) {	for(var prop in source) {	dest[prop] = source[prop]; } return dest; }
@@ -30,11 +40,218 @@
 	**/
 	function callback(scope, data, cbs) {
   	for(var i=0; i<cbs.length; i++) {
-			cbs[i].call(scope, data);
+			//a throwing callback must not stop the rest of the callbacks from running
+			//nor escape to whomever called resolve/reject/notify
+			try {
+				cbs[i].call(scope, data);
+			} catch(e) {
+				reportError(e);
+			}
+		}
+		return;
+	}
+
+	/**
+	 * runsOn maps each settled state onto the kinds of bound callbacks that get run for it
+	 * @private to this closure
+	**/
+	var runsOn = {
+		1: {done: true, always: true},
+		2: {fail: true, always: true},
+		3: {cancel: true, always: true}
+	};
+
+	/**
+	 * dispatch hands a batch of callbacks to the scheduler as a single task, so that they are
+	 * 		always called asynchronously and in the order that they are in the array
+	 * @function
+	 * @private to this closure
+	 * @param {object} scope - the scope with which to call the callbacks
+	 * @param {object} data - data to pass as the argument of the callbacks
+	 * @param {array[function]} cbs - an array of callback functions
+	 * @return {null} null
+	**/
+	function dispatch(scope, data, cbs) {
+		if(cbs.length > 0) {
+			Dfd.schedule(function() {
+				callback(scope, data, cbs);
+			});
+		}
+		return;
+	}
+
+	/**
+	 * settle moves a pending deferred into a settled state and dispatches the bound callbacks that
+	 * 		run for that state in the order they were bound, done/fail/always/onCancel interleaved.
+	 * 		The bound callbacks are let go of afterwards since none of them can ever run again.
+	 * @function
+	 * @private to this closure
+	 * @param {deferred} dfd - the deferred to settle, with its internalData already set
+	 * @param {int} state - 1 for resolved, 2 for rejected and 3 for cancelled
+	 * @return {null} null
+	**/
+	function settle(dfd, state) {
+		var cbs = [];
+		dfd.setState(state);
+		dfd.callbacks.settled.forEach(function(bound) {
+			if(runsOn[state][bound.on]) {
+				cbs.push(bound.fn);
+			}
+		});
+		dfd.callbacks.settled.length = 0;
+		dfd.callbacks.progress = [];
+		if(dfd.internalDebug) {
+			delete registry[dfd.internalDebug.id];
+		}
+		dispatch(dfd.internalWith, dfd.internalData, cbs);
+		return;
+	}
+
+	/**
+	 * bind stores callbacks of the given kind on a pending deferred, or dispatches them straight
+	 * 		away if the deferred has already settled into a state they run for
+	 * @function
+	 * @private to this closure
+	 * @param {deferred} dfd - the deferred to bind to
+	 * @param {string} on - the kind of callback, done/fail/always/cancel
+	 * @param {function || array[function]} cbs - a callback function or an array of callback functions
+	 * @return {bool} true if there was anything to bind
+	**/
+	function bind(dfd, on, cbs) {
+		cbs = sanitizeCbs(cbs);
+		if(!cbs || cbs.length === 0) {
+			return false;
+		}
+		if(dfd.state() === 0) {
+			cbs.forEach(function(fn) {
+				dfd.callbacks.settled.push({on: on, fn: fn});
+			});
+		} else if(runsOn[dfd.state()][on]) {
+			dispatch(dfd.internalWith, dfd.internalData, cbs);
+		}
+		return true;
+	}
+
+	/**
+	 * runTasks drains a queue of scheduled tasks in order, a throwing task is reported rather
+	 * 		than left to stop the tasks queued up behind it
+	 * @function
+	 * @private to this closure
+	 * @param {array[function]} queue - the queue of tasks, emptied as it goes
+	 * @return {int} the number of tasks that were run
+	**/
+	function runTasks(queue) {
+		var count = 0;
+		while(queue.length > 0) {
+			count++;
+			try {
+				queue.shift()();
+			} catch(e) {
+				reportError(e);
+			}
+		}
+		return count;
+	}
+
+	/**
+	 * reportError hands an exception thrown inside a callback to Dfd.onCallbackError (which logs it
+	 * 		by default), so it still shows up without interrupting the callback loop that caught it
+	 * 		or taking down the process.
+	 * @function
+	 * @private to this closure
+	 * @param {object} e - the thrown exception
+	 * @return {null} null
+	**/
+	function reportError(e) {
+		if(isFunction(Dfd.onCallbackError)) {
+			Dfd.onCallbackError(e);
 		}
 		return;
 	}
 
+	/**
+	 * trackRejection checks back on a freshly rejected deferred once the current callbacks have
+	 * 		had a chance to run, and if nobody has bound a fail (or then) to it by then it reports the
+	 * 		rejection through Dfd.onUnhandledRejection
+	 * @function
+	 * @private to this closure
+	 * @param {deferred} dfd - the rejected deferred
+	 * @return {null} null
+	**/
+	function trackRejection(dfd) {
+		setTimeout(function() {
+			if(!dfd.internalHandled && isFunction(Dfd.onUnhandledRejection)) {
+				Dfd.onUnhandledRejection(dfd.internalData, dfd.promise(), longStack(dfd, dfd.internalData));
+			}
+		}, 0);
+		return;
+	}
+
+	/**
+	 * the debug registry, only filled in while Dfd.debug is on.  registry holds the debug info of every
+	 * 		pending deferred by id and promiseDebug lets us find the debug info behind a promise object
+	 * 		without handing the deferred itself out.
+	 * @private to this closure
+	**/
+	var debugCount = 0;
+	var registry = {};
+	var promiseDebug = typeof WeakMap === "function" ? new WeakMap() : null;
+
+	/**
+	 * trackDebug creates the debug info for a new deferred, capturing the stack it was created on,
+	 * 		and adds it to the registry of pending deferreds
+	 * @function
+	 * @private to this closure
+	 * @return {object} the debug info {id, label, stack, createdAt, parent, waitingOn}
+	**/
+	function trackDebug() {
+		var info = {
+			id        : ++debugCount,
+			label     : undefined,
+			//drop the "Error" line and the frames for trackDebug and the Dfd constructor
+			stack     : ((new Error()).stack || "").split("\n").slice(3).join("\n"),
+			createdAt : Date.now(),
+			parent    : null,
+			waitingOn : null
+		};
+		registry[info.id] = info;
+		return info;
+	}
+
+	/**
+	 * debugInfo gets the debug info behind a deferred or one of its promises, if there is any
+	 * @function
+	 * @private to this closure
+	 * @param {deferred || promise} x - the deferred or promise
+	 * @return {object} the debug info or null
+	**/
+	function debugInfo(x) {
+		if(x instanceof Dfd) {
+			return x.internalDebug;
+		}
+		return (promiseDebug && x && typeof x === "object" && promiseDebug.get(x)) || null;
+	}
+
+	/**
+	 * longStack stitches the creation stacks of a deferred and every deferred it was chained from with
+	 * 		then onto the stack of the rejection, giving an async stack trace across the whole chain
+	 * @function
+	 * @private to this closure
+	 * @param {deferred} dfd - the rejected deferred
+	 * @param {object} data - the rejection data
+	 * @return {string} the stitched stack, or undefined when dfd wasn't created in debug mode
+	**/
+	function longStack(dfd, data) {
+		if(!dfd.internalDebug) {
+			return;
+		}
+		var parts = [data && data.stack ? data.stack : String(data)];
+		for(var info = dfd.internalDebug; info; info = info.parent) {
+			parts.push("    --- Dfd #" + info.id + (info.label ? " (" + info.label + ")" : "") + " created ---\n" + info.stack);
+		}
+		return parts.join("\n");
+	}
+
 	/**
 	 * sanitizeCbs ensures that the callbacks are returns in an array format
 	 * 		this is a helper function to keep it from being used all over the place below
@@ -49,7 +266,348 @@
     }
 		return cbs;
 	}
-	
+
+	/**
+	 * isFunction is a typeof check rather than a toString check so that bound, native
+	 * 		and async functions all count as callable
+	 * @function
+	 * @private to this closure
+	 * @param {object} fn - the value to check
+	 * @return {bool} true if fn can be called
+	**/
+	function isFunction(fn) {
+		return typeof fn === "function";
+	}
+
+	/**
+	 * isPromise checks whether x is one of our own deferreds or promises (including a
+	 * 		promisified target object).  A native Promise also reports "[object Promise]"
+	 * 		so we also make sure the done/fail/progress api is actually there.
+	 * @function
+	 * @private to this closure
+	 * @param {object} x - the value to check
+	 * @return {bool} true if x is a Dfd or Dfd promise
+	**/
+	function isPromise(x) {
+		if(x instanceof Dfd) {
+			return true;
+		}
+		return !!x && isFunction(x.toString) && x.toString() === "[object Promise]" &&
+			isFunction(x.done) && isFunction(x.fail) && isFunction(x.progress);
+	}
+
+	/**
+	 * resolveValue runs the Promises/A+ resolution procedure for dfd with the value x.
+	 * 		If x is one of our own promises then dfd follows it (progress included), if it is
+	 * 		any other thenable then dfd adopts its eventual state (and its progress too if its then
+	 * 		takes a jQuery style third progress callback), and otherwise dfd is simply resolved with x.
+	 * @function
+	 * @private to this closure
+	 * @param {deferred} dfd - the deferred to settle
+	 * @param {promise} pro - the promise that was handed out for dfd, used to detect cycles
+	 * @param {object} scope - the scope to settle dfd with
+	 * @param {object} x - the value to resolve dfd with
+	 * @return {null} null
+	**/
+	function resolveValue(dfd, pro, scope, x) {
+		if(x === pro || x === dfd) {
+			dfd.rejectWith(scope, new TypeError("Chaining cycle detected for promise"));
+			return;
+		}
+
+		if(dfd.internalDebug) {
+			dfd.internalDebug.waitingOn = debugInfo(x);
+		}
+
+		if(isPromise(x)) {
+			//resolved with a thenable of its own it is followed in turn, just as one from a foreign thenable is
+			x.done(function(data) { resolveValue(dfd, pro, this, data); });
+			x.fail(function(data) { dfd.rejectWith(this, data); });
+			x.progress(function(data) { dfd.notifyWith(this, data); });
+			if(isFunction(x.onCancel)) {
+				x.onCancel(function(reason) { dfd.cancel(reason); });
+			}
+			return;
+		}
+
+		if(x !== null && (typeof x === "object" || isFunction(x))) {
+			var then;
+			var called = false;
+			//then must only be read once since it could be a getter with side effects
+			try {
+				then = x.then;
+			} catch(e) {
+				dfd.rejectWith(scope, e);
+				return;
+			}
+			if(isFunction(then)) {
+				try {
+					then.call(x, function(y) {
+						if(called) { return; }
+						called = true;
+						resolveValue(dfd, pro, scope, y);
+					}, function(r) {
+						if(called) { return; }
+						called = true;
+						dfd.rejectWith(scope, r);
+					}, function(p) {
+						if(called) { return; }
+						dfd.notifyWith(scope, p);
+					});
+				} catch(e) {
+					//a throw after resolvePromise/rejectPromise was called is ignored
+					if(!called) {
+						called = true;
+						dfd.rejectWith(scope, e);
+					}
+				}
+				return;
+			}
+		}
+
+		dfd.resolveWith(scope, x);
+		return;
+	}
+
+	/**
+	 * toDfd wraps any value into a deferred which follows it, promises and thenables are adopted
+	 * 		and plain values resolve straight away.  Used by the combinators so that they can treat
+	 * 		every input the same.
+	 * @function
+	 * @private to this closure
+	 * @param {object} x - a promise, thenable or plain value
+	 * @return {deferred} a deferred following x
+	**/
+	function toDfd(x) {
+		var dfd = new Dfd();
+		resolveValue(dfd, dfd.promise(), dfd, x);
+		return dfd;
+	}
+
+	/**
+	 * stateNames turns the internalState integers into the names used in allSettled results and
+	 * 		the perItem progress entries
+	 * @private to this closure
+	**/
+	var stateNames = ["pending", "resolved", "rejected", "cancelled"];
+
+	/**
+	 * progressTracker keeps the per item progress for when and the combinators, and notifies dfd with
+	 * 		a structured event {type, index, value, settledCount, total, perItem} whenever an item
+	 * 		notifies (type "progress") or settles (type "settled").  perItem is a copy of the
+	 * 		{state, progress} of every item, and if options.progressReducer is set the event also
+	 * 		carries percent, whatever the reducer returned for it.
+	 * @function
+	 * @private to this closure
+	 * @param {deferred} dfd - the combined deferred to notify
+	 * @param {int} total - the number of items
+	 * @param {object} options - an optional object which can contain:
+	 *        @param {function} progressReducer - called with each event, returns the overall percentage
+	 * @return {object} tracker with progress(index, value) and settled(index, state) functions
+	**/
+	function progressTracker(dfd, total, options) {
+		options = options || {};
+		var perItem = [];
+		var settledCount = 0;
+		for(var i = 0; i < total; i++) {
+			perItem.push({state: "pending", progress: undefined});
+		}
+
+		function emit(type, index, value) {
+			if(dfd.state() !== 0) {
+				return;
+			}
+			var event = {
+				type         : type,
+				index        : index,
+				value        : value,
+				settledCount : settledCount,
+				total        : total,
+				perItem      : perItem.map(function(item) { return extend({}, item); })
+			};
+			if(isFunction(options.progressReducer)) {
+				event.percent = options.progressReducer(event);
+			}
+			dfd.notify(event);
+		}
+
+		return {
+			progress: function(index, value) {
+				perItem[index].progress = value;
+				emit("progress", index, value);
+			},
+			settled: function(index, state) {
+				settledCount++;
+				perItem[index].state = stateNames[state];
+				emit("settled", index, undefined);
+				return settledCount;
+			}
+		};
+	}
+
+	/**
+	 * combine is the shared plumbing of the static combinators.  It wraps every item with toDfd and
+	 * 		hands each settlement to the settle function along with a context that tracks the
+	 * 		results array and the counts, leaving the combinator itself to decide when the returned
+	 * 		deferred resolves or rejects.  Cancelling the returned promise cancels every input that
+	 * 		can be cancelled, but an input being cancelled is only handed to settle, it is up to the
+	 * 		combinator what that means (none of them cancel the rest).  Progress of the items is
+	 * 		aggregated by a progressTracker.
+	 * @function
+	 * @private to this closure
+	 * @param {array} items - an array of promises, thenables or plain values
+	 * @param {object} options - the combinator options, handed to the progressTracker
+	 * @param {function} settle - called with (ctx, index, state, data) whenever an item settles
+	 *                          where state is 1 for resolved, 2 for rejected and 3 for cancelled
+	 * @param {function} empty - called with (ctx) if items is empty
+	 * @return {promise} promise instance object of the combined deferred
+	**/
+	function combine(items, options, settle, empty) {
+		var ctx = {
+			dfd          : new Dfd(),
+			results      : [],
+			total        : items.length,
+			settledCount : 0
+		};
+		var tracker = progressTracker(ctx.dfd, ctx.total, options);
+
+		items.forEach(function(item, index) {
+			var inner = toDfd(item);
+			inner.done(function(data) {
+				ctx.settledCount = tracker.settled(index, 1);
+				settle(ctx, index, 1, data);
+			});
+			inner.fail(function(data) {
+				ctx.settledCount = tracker.settled(index, 2);
+				settle(ctx, index, 2, data);
+			});
+			inner.onCancel(function(reason) {
+				ctx.settledCount = tracker.settled(index, 3);
+				settle(ctx, index, 3, reason);
+			});
+			inner.progress(function(data) {
+				tracker.progress(index, data);
+			});
+		});
+
+		ctx.dfd.onCancel(function(reason) {
+			cancelAll(items, reason);
+		});
+
+		if(ctx.total === 0) {
+			empty(ctx);
+		}
+		return ctx.dfd.promise();
+	}
+
+	/**
+	 * cancelAll cancels every item in the array that is one of our promises, anything else
+	 * 		(plain values, foreign thenables) has no way to be cancelled and is left alone
+	 * @function
+	 * @private to this closure
+	 * @param {array} items - an array of promises, thenables or plain values
+	 * @param {object} reason - the reason to cancel with
+	 * @return {null} null
+	**/
+	function cancelAll(items, reason) {
+		items.forEach(function(item) {
+			if(isPromise(item) && isFunction(item.cancel)) {
+				item.cancel(reason);
+			}
+		});
+		return;
+	}
+
+	/**
+	 * cancelError makes the Dfd.CancelError a cancel turns into wherever it has to become a rejection:
+	 * 		toNative, nodeify, and the inputs of when and the combinators
+	 * @function
+	 * @private to this closure
+	 * @param {object} reason - the reason the deferred was cancelled with
+	 * @return {Dfd.CancelError} the error, with the reason on its reason property
+	**/
+	function cancelError(reason) {
+		return new Dfd.CancelError("Promise was cancelled", {reason: reason});
+	}
+
+	/**
+	 * backoffDelay works out how long Dfd.retry waits after a given failed attempt
+	 * @function
+	 * @private to this closure
+	 * @param {object} options - the retry options (delay, backoff, factor, maxDelay, jitter)
+	 * @param {int} attempt - the 1 based number of the attempt that just failed
+	 * @return {int} the number of milliseconds to wait
+	**/
+	function backoffDelay(options, attempt) {
+		var wait = options.delay;
+		if(options.backoff === "exponential") {
+			wait = options.delay * Math.pow(options.factor, attempt - 1);
+		}
+		wait = Math.min(wait, options.maxDelay);
+		//jitter of true takes anything from 0 up to the full delay, a number between 0 and 1
+		//only takes that fraction of the delay away at most
+		if(options.jitter) {
+			wait = wait - wait * (options.jitter === true ? 1 : options.jitter) * Math.random();
+		}
+		return Math.round(wait);
+	}
+
+	/**
+	 * results turns the arguments a node style callback or an event emitter passes into a single value,
+	 * 		the first one if there is only one or an array of them if there are more (or multiArgs is set)
+	 * @function
+	 * @private to this closure
+	 * @param {arguments} args - the arguments object
+	 * @param {int} start - the index of the first result in args
+	 * @param {bool} multiArgs - always return an array
+	 * @return {object} the result
+	**/
+	function results(args, start, multiArgs) {
+		var list = Array.prototype.slice.call(args, start);
+		return (multiArgs || list.length > 1) ? list : list[0];
+	}
+
+	/**
+	 * listen adds a listener to a node EventEmitter or a DOM EventTarget
+	 * @function
+	 * @private to this closure
+	 * @param {object} emitter - the EventEmitter or EventTarget
+	 * @param {string} name - the event name
+	 * @param {function} fn - the listener
+	 * @return {function} a function that removes the listener again
+	**/
+	function listen(emitter, name, fn) {
+		if(isFunction(emitter.addEventListener)) {
+			emitter.addEventListener(name, fn);
+			return function() { emitter.removeEventListener(name, fn); };
+		}
+		emitter.on(name, fn);
+		return function() {
+			(emitter.removeListener || emitter.off).call(emitter, name, fn);
+		};
+	}
+
+	/**
+	 * defineError creates a named Error subclass so that callers can check the failure reason
+	 * 		with instanceof or by name.  Any props passed to the constructor are copied onto the error.
+	 * @function
+	 * @private to this closure
+	 * @param {string} name - the name of the error type
+	 * @return {function} the error constructor
+	**/
+	function defineError(name) {
+		var TypedError = function(message, props) {
+			this.name = name;
+			this.message = message || "";
+			this.stack = (new Error(this.message)).stack;
+			extend(this, props || {});
+		};
+		TypedError.prototype = Object.create(Error.prototype);
+		TypedError.prototype.constructor = TypedError;
+		TypedError.prototype.name = name;
+		return TypedError;
+	}
+
 	/**
 	 * Represents a Deferred Object
 	 * @constructor
@@ -59,14 +617,18 @@
 	**/
 	var Dfd = function(beforeStart, debugMode) {
 		//setup some instance parameters
-		//internalState 0 == pending, 1 == resolved, 2 == rejected
+		//internalState 0 == pending, 1 == resolved, 2 == rejected, 3 == cancelled
 		this.internalState = 0;
 		this.internalWith = this;
 		this.internalData = null;
+		//internalHandled flips once a fail/then is bound, so we know whether a rejection went unheard
+		this.internalHandled = false;
+		//internalDebug holds the label, creation stack and links of the deferred when Dfd.debug is on
+		this.internalDebug = Dfd.debug ? trackDebug() : null;
+		//settled holds the done/fail/always/cancel callbacks together as {on, fn} so that
+		//they run in the order that they were bound
 		this.callbacks = {
-			done    : [],
-			fail    : [],
-			always  : [],
+			settled : [],
 			progress: [],
 		}
 		
@@ -80,6 +642,8 @@
 			  "internalState": {enumerable:false, writable:true, configurable:false},
 			  "internalWith": {enumerable:false, writable:true, configurable:false},
 			  "internalData": {enumerable:false, writable:true, configurable:false},
+			  "internalHandled": {enumerable:false, writable:true, configurable:false},
+			  "internalDebug": {enumerable:false, writable:false, configurable:false},
 			  "callbacks": {enumerable:false, writable:false, configurable:false},
 			});
   		//Freeze the this so that the functions cannot be changed/overridden nor modified
@@ -120,6 +684,12 @@
 			this.always = dfd.always.bind(dfd);
 			this.then = dfd.then.bind(dfd);
 			this.state = dfd.state.bind(dfd);
+			this.cancel = dfd.cancel.bind(dfd);
+			this.onCancel = dfd.onCancel.bind(dfd);
+			this.timeout = dfd.timeout.bind(dfd);
+			this.toNative = dfd.toNative.bind(dfd);
+			this.label = dfd.label.bind(dfd);
+			this.nodeify = dfd.nodeify.bind(dfd);
 
 			//if target was passed in then return the ='promisified' target 
 			//intead of a new promise object
@@ -134,133 +704,147 @@
 		 * notify will call any progress callbacks with the data provided
 		 * @function
 		 * @public on prototype
-		 * @param {object} data - the data to notify with 
+		 * @param {object} data - the data to notify with
 		 * @return {null} null
 		**/
 		notify: function(data) {
 			if(this.state() == 0) {
 				this.internalData = data;
-				setTimeout(callback(
-					this.internalWith, 
-					this.internalData, 
-					this.callbacks.progress)
-				,0);
+				dispatch(
+					this.internalWith,
+					this.internalData,
+					this.callbacks.progress.slice()
+				);
 			}
 			return;
 		},
-		
+
 		/**
-		 * notifyWith will call any progress callbacks with the data provided 
+		 * notifyWith will call any progress callbacks with the data provided
 		 * 		using the scope provided
 		 * @function
 		 * @public on prototype
 		 * @param {object} scope - the scope to call the progress callbacks with
-		 * @param {object} data - the data to notify with 
+		 * @param {object} data - the data to notify with
 		 * @return {null} null
 		**/
 		notifyWith: function(scope, data) {
 			if(this.state() == 0) {
 				this.internalWith = scope;
 				this.internalData = data;
-				setTimeout(callback(
-					this.internalWith, 
-					this.internalData, 
-					this.callbacks.progress)
-				,0);
+				dispatch(
+					this.internalWith,
+					this.internalData,
+					this.callbacks.progress.slice()
+				);
 			}
 			return;
 		},
-		
+
 		/**
 		 * reject will call any fail callbacks with the data provided, as well as always callbacks
 		 * @function
 		 * @public on prototype
-		 * @param {object} data - the data to reject with 
+		 * @param {object} data - the data to reject with
 		 * @return {null} null
 		**/
 		reject: function(data) {
 			if(this.state() == 0) {
 				this.internalData = data;
-				this.setState(2)
-				setTimeout(callback(
-					this.internalWith, 
-					this.internalData, 
-					this.callbacks.fail.concat(this.callbacks.always)
-				),0);
+				settle(this, 2);
+				trackRejection(this);
 			}
 			return;
 		},
-		
+
 		/**
-		 * rejectWith will call any fail and always callbacks with the data provided 
+		 * rejectWith will call any fail and always callbacks with the data provided
 		 * 		using the scope provided
 		 * @function
 		 * @public on prototype
 		 * @param {object} scope - the scope to call the callbacks with
-		 * @param {object} data - the data to reject with 
+		 * @param {object} data - the data to reject with
 		 * @return {null} null
 		**/
 		rejectWith: function(scope, data) {
 			if(this.state() == 0) {
 				this.internalWith = scope;
 				this.internalData = data;
-				this.setState(2)
-				setTimeout(callback(
-					this.internalWith, 
-					this.internalData, 
-					this.callbacks.fail.concat(this.callbacks.always)
-				),0)
+				settle(this, 2);
+				trackRejection(this);
 			}
 			return;
 		},
-		
+
 		/**
 		 * resolve will call any done and always callbacks with the data provided
 		 * @function
 		 * @public on prototype
-		 * @param {object} data - the data to resolve with 
+		 * @param {object} data - the data to resolve with
 		 * @return {null} null
 		**/
 		resolve: function(data) {
 			if(this.state() == 0) {
 				this.internalData = data;
-				this.setState(1)
-				setTimeout(callback(
-					this.internalWith, 
-					this.internalData, 
-					this.callbacks.done.concat(this.callbacks.always)
-				),0)
+				settle(this, 1);
 			}
 			return;
 		},
-		
+
 		/**
 		 * resolveWith will call any done and always callbacks with the data provided
 		 *  	using the scope provided
 		 * @function
 		 * @public on prototype
 		 * @param {object} scope - the scope to call the callbacks with
-		 * @param {object} data - the data to notify with 
+		 * @param {object} data - the data to notify with
 		 * @return {null} null
 		**/
 		resolveWith: function(scope, data) {
 			if(this.state() == 0) {
 				this.internalWith = scope;
 				this.internalData = data;
-				this.setState(1)
-				setTimeout(callback(
-					this.internalWith, 
-					this.internalData, 
-					this.callbacks.done.concat(this.callbacks.always)
-				),0)
+				settle(this, 1);
 			}
 			return;
 		},
 
 		/**
-		 * always will set a callback for the resolve and reject events
-		 * 		or will immediatly run the callback if the object is already
-		 *   	resolved or rejected.
+		 * cancel abandons a pending deferred, moving it to the cancelled state (3) so that it will
+		 * 		never resolve or reject.  Any onCancel hooks run with the reason, along with the always
+		 * 		callbacks, and the cancellation carries on down to the promises derived with then.
+		 * @function
+		 * @public on prototype
+		 * @param {object} reason - the reason for cancelling, passed to the onCancel hooks
+		 * @return {null} null
+		**/
+		cancel: function(reason) {
+			if(this.state() == 0) {
+				this.internalData = reason;
+				settle(this, 3);
+			}
+			return;
+		},
+
+		/**
+		 * onCancel will set a cleanup callback for the cancel event
+		 * 		or will schedule the callback straight away if the object is already
+		 *   	cancelled.  It does nothing once the deferred is resolved or rejected.
+		 * @function
+		 * @public on prototype
+		 * @param {function || array[function]} cbs - a callback function or an array
+		 *                     of callback functions
+		 * @return {null} null
+		**/
+		onCancel: function(cbs) {
+			bind(this, "cancel", cbs);
+			return;
+		},
+
+		/**
+		 * always will set a callback for the resolve, reject and cancel events
+		 * 		or will schedule the callback straight away if the object is already
+		 *   	resolved, rejected or cancelled.
 		 * @function
 		 * @public on prototype
 		 * @param {function || array[function]} cbs - a callback function or an array
@@ -268,24 +852,13 @@
 		 * @return {null} null
 		**/
 		always: function(cbs) {
-			cbs = sanitizeCbs(cbs);
-			if(cbs.length > 0) {
-				if(this.state() !== 0) {
-					setTimeout(callback(
-						this.internalWith, 
-						this.internalData, 
-						cbs)
-					,0);
-				} else {
-					this.callbacks.always = this.callbacks.always.concat(cbs)
-				}
-			}
+			bind(this, "always", cbs);
 			return;
 		},
-		
+
 		/**
 		 * done will set a callback for the resolve events
-		 * 		or will immediatly run the callback if the object is already
+		 * 		or will schedule the callback straight away if the object is already
 		 *   	resolved.
 		 * @function
 		 * @public on prototype
@@ -294,24 +867,13 @@
 		 * @return {null} null
 		**/
 		done: function(cbs) {
-			cbs = sanitizeCbs(cbs);
-			if(cbs.length > 0) {
-				if(this.state() === 1) {
-					setTimeout(callback(
-						this.internalWith, 
-						this.internalData, 
-						cbs)
-					,0);
-				} else {
-					this.callbacks.done = this.callbacks.done.concat(cbs)
-				}
-			}
+			bind(this, "done", cbs);
 			return;
 		},
-		
+
 		/**
 		 * fail will set a callback for the reject events
-		 * 		or will immediatly run the callback if the object is already
+		 * 		or will schedule the callback straight away if the object is already
 		 *   	rejected.
 		 * @function
 		 * @public on prototype
@@ -320,21 +882,12 @@
 		 * @return {null} null
 		**/
 		fail: function(cbs) {
-			cbs = sanitizeCbs(cbs);
-			if(cbs.length > 0) {
-				if(this.state() === 2) {
-					setTimeout(callback(
-						this.internalWith, 
-						this.internalData, 
-						cbs)
-					,0);
-				} else {
-					this.callbacks.fail = this.callbacks.fail.concat(cbs)
-				}
+			if(bind(this, "fail", cbs)) {
+				this.internalHandled = true;
 			}
 			return;
 		},
-		
+
 		/**
 		 * progress will set a callback for the notify events, or do nothing
 		 * 		if it is already resolved or rejected
@@ -345,101 +898,229 @@
 		 * @return {null} null
 		**/
 		progress: function(cbs) {
-			if(this.state() === 0) {
-				cbs = sanitizeCbs(cbs);
+			cbs = sanitizeCbs(cbs);
+			if(this.state() === 0 && cbs) {
 				this.callbacks.progress = this.callbacks.progress.concat(cbs)
 			}
 			return;
 		},
-
 		/**
 		 * then provides a function which allows chaining of promise callbacks essentialy
 		 * 		it allows you to provide filter functions that will be called upone the origional promise
 		 * 		which may modify/alter the data before returning/resolving/rejecting the newly
-		 * 		created deferred/promise.
+		 * 		created deferred/promise.  It follows the Promises/A+ resolution procedure, so a filter
+		 * 		that returns a promise or thenable makes the new promise wait on it, a missing filter
+		 * 		passes the data straight through, and a failFilter that returns normally recovers the chain.
+		 * 		Unlike A+ the filters are called with the scope the deferred was settled with as this, like
+		 * 		every other callback here.  Cancelling cancels the new promise too without calling either
+		 * 		filter, so an await on a promise that gets cancelled never settles, use toNative for that.
 		 * @function
 		 * @public on prototype
 		 * @param {function} doneFilter - a function to be run on the resolve event and whose return value
 		 *                              will be used to resolve the promise returned by the "then"
 		 * @param {function} failFilter - a function to be run on the reject event and whose return value
-		 *                              will be used to reject the promise returned by the "then"
+		 *                              will be used to resolve the promise returned by the "then"
 		 * @param {function} progressFilter - a function to be run on the notify event and whose return value
 		 *                              will be used to notify the promise returned by the "then"
-		 * @return {null} null
+		 * @return {promise} promise instance object of the newly created deferred
 		**/
 		then: function(doneFilter, failFilter, progressFilter) {
 			//create a new inner DFD function
 			var newDfd = new Dfd;
-			
+			var newPro = newDfd.promise();
+			if(newDfd.internalDebug) {
+				newDfd.internalDebug.parent = this.internalDebug;
+			}
+
 			var dF = function(data) {
-				var ret = doneFilter.call(this, data);
-				newDfd.resolveWith(this, ret);
+				if(!isFunction(doneFilter)) {
+					newDfd.resolveWith(this, data);
+					return;
+				}
+				//a throwing filter rejects the chained promise instead of escaping
+				try {
+					var ret = doneFilter.call(this, data);
+				} catch(e) {
+					newDfd.rejectWith(this, e);
+					return;
+				}
+				resolveValue(newDfd, newPro, this, ret);
 			}
 			var fF = function(data) {
-				var ret = failFilter.call(this, data);
-				newDfd.rejectWith(this, ret);
+				if(!isFunction(failFilter)) {
+					newDfd.rejectWith(this, data);
+					return;
+				}
+				try {
+					var ret = failFilter.call(this, data);
+				} catch(e) {
+					newDfd.rejectWith(this, e);
+					return;
+				}
+				resolveValue(newDfd, newPro, this, ret);
 			}
 			var pF = function(data) {
-				var ret = progressFilter.call(this, data);
+				if(!isFunction(progressFilter)) {
+					newDfd.notifyWith(this, data);
+					return;
+				}
+				try {
+					var ret = progressFilter.call(this, data);
+				} catch(e) {
+					reportError(e);
+					return;
+				}
 				newDfd.notifyWith(this, ret);
 			}
 			this.done(dF); this.fail(fF); this.progress(pF);
+			//cancelling this deferred abandons everything chained off of it
+			this.onCancel(function(reason) {
+				newDfd.cancel(reason);
+			});
+
+			return newPro;
+		},
+
+		/**
+		 * timeout returns a new promise which follows this one, but rejects with a Dfd.TimeoutError
+		 * 		if this one hasn't resolved or rejected within ms milliseconds.  The timer runs on
+		 * 		Dfd.clock and is cleared as soon as either promise settles or is cancelled.
+		 * @function
+		 * @public on prototype
+		 * @param {int} ms - the number of milliseconds to wait
+		 * @param {string} reason - optional message for the TimeoutError
+		 * @return {promise} promise instance object
+		**/
+		timeout: function(ms, reason) {
+			var newDfd = new Dfd();
+			var clock = Dfd.clock;
+			var timer = clock.setTimeout(function() {
+				newDfd.reject(new Dfd.TimeoutError(reason || "Timed out after " + ms + "ms", {timeout: ms}));
+			}, ms);
 
+			this.done(function(data) { newDfd.resolveWith(this, data); });
+			this.fail(function(data) { newDfd.rejectWith(this, data); });
+			this.progress(function(data) { newDfd.notifyWith(this, data); });
+			this.onCancel(function(reason) { newDfd.cancel(reason); });
+			newDfd.always(function() {
+				clock.clearTimeout(timer);
+			});
 			return newDfd.promise();
 		},
 
+		/**
+		 * toNative converts this deferred into a native Promise for code using async/await.  Native promises
+		 * 		have no progress or cancel, so progress is dropped and a cancellation turns into a rejection
+		 * 		with a Dfd.CancelError (the cancel reason is on its reason property).
+		 * @function
+		 * @public on prototype
+		 * @return {Promise} a native Promise
+		**/
+		toNative: function() {
+			var dfd = this;
+			return new Promise(function(resolve, reject) {
+				dfd.done(resolve);
+				dfd.fail(reject);
+				dfd.onCancel(function(reason) {
+					reject(cancelError(reason));
+				});
+			});
+		},
+
+		/**
+		 * nodeify bridges this deferred back to a node style (err, result) callback, a rejection is
+		 * 		passed as err and a cancellation as a Dfd.CancelError
+		 * @function
+		 * @public on prototype
+		 * @param {function} cb - the node style callback
+		 * @return {null} null
+		**/
+		nodeify: function(cb) {
+			if(!isFunction(cb)) {
+				return;
+			}
+			this.done(function(data) { cb.call(this, null, data); });
+			this.fail(function(e) { cb.call(this, e); });
+			this.onCancel(function(reason) {
+				cb.call(this, cancelError(reason));
+			});
+			return;
+		},
+
 		/**
 		 * When can take an array of promised or truthy/falsey objects
 		 * 		and can mesh them into a single promise/deferred which will
 		 * 		be resolved when all of the passed in promises resolve, or rejected if
 		 * 		any of the passed in promises is rejected.  It returns a promise in 
 		 * 		its own right which can represent the summation of all the inner
-		 * 		promises.
+		 * 		promises.  Progress of the inner promises is notified as a structured
+		 * 		{type, index, value, settledCount, total, perItem} event.
 		 * @function
 		 * @public on prototype
+		 * @param {array} promises - an array of promises or truthy/falsey objects
+		 * @param {object} options - an optional object which can contain:
+		 *        @param {function} progressReducer - called with each progress event, whatever it
+		 *                                          returns is set as the event's percent
 		 * @return {promise} promise instance object
 		**/
-		when: function(promises) {
+		when: function(promises, options) {
 			var newDfd = new Dfd();
 			var resolvedCount = 0;
 			var handledCount = 0;
 			var whenData = [];
+			var tracker = progressTracker(newDfd, promises.length, options);
 
-			for(var i = 0; i<promises.length; i++) {
-				var tempI = i;
+			//forEach rather than a for loop so that each callback closes over its own index
+			promises.forEach(function(item, i) {
 				//if it is a promise object
-				if(promises[i].toString() === "[object Promise]") {
+				if(isPromise(item)) {
 					//when the promise is done store the data into the whenData array
 					//and resolve the new whenDeferred if all the promises are resolved
-					promises[i].done(function(data) {
-						whenData[tempI] = data;
+					item.done(function(data) {
+						whenData[i] = data;
 						resolvedCount++; handledCount++;
+						tracker.settled(i, 1);
 						if(resolvedCount === promises.length) {
-							newDfd.resolve(data);
+							newDfd.resolve(whenData);
+						} else if(handledCount === promises.length) {
+							newDfd.reject(whenData);
 						}
 					});
 					//if one of the inner promises fails then we store that fail and the 
 					//when wrapper will also fail but only after running all of the promises
 					//such that the returned composite data is indicative of the status of all of the 
 					//wrapped promises
-					promises[i].fail(function(e) {
+					item.fail(function(e) {
 						handledCount++;
-						whenData[tempI] = e;
+						whenData[i] = e;
+						tracker.settled(i, 2);
 						if(handledCount === promises.length) {
 							newDfd.reject(whenData);
 						}
 					});
-					//simply pass along progress events with no need to chain them etc.
-					promises[i].progress(function(e) {
-						newDfd.notify(e);
+					//pass along progress events tagged with which input they came from
+					item.progress(function(e) {
+						tracker.progress(i, e);
 					});
+					//a cancelled input counts as a failure with a CancelError, it doesn't cancel the others
+					if(isFunction(item.onCancel)) {
+						item.onCancel(function(reason) {
+							handledCount++;
+							whenData[i] = cancelError(reason);
+							tracker.settled(i, 3);
+							if(handledCount === promises.length) {
+								newDfd.reject(whenData);
+							}
+						});
+					}
 				} 
 				//otherwise if it is truthy value
 				//then use that value to return in the callback and 
 				//increment the resolvedCount
-				else if (promises[i]) {
-					whenData[i] = promises[i];
+				else if (item) {
+					whenData[i] = item;
 					resolvedCount++; handledCount++;
+					tracker.settled(i, 1);
 				} 
 				//otherwise if it is falsy
 				//then use that valu to return in the callback
@@ -447,10 +1128,15 @@
 				//resolved Count.  This means the when will eventually 
 				//reject.
 				else {
-					whenData[i] = promises[i];
+					whenData[i] = item;
 					handledCount++;
+					tracker.settled(i, 2);
 				}
-			};
+			});
+
+			newDfd.onCancel(function(reason) {
+				cancelAll(promises, reason);
+			});
 
 			// if all of the "promises" were not actually promises but rather truthy or falsey objects
 			// then we can determine the state right now syncrounously after the for loop
@@ -475,9 +1161,31 @@
 		**/
 		promise: function(target) {
 			var pro = new this.Promise(this, target);
+			if(this.internalDebug && promiseDebug) {
+				promiseDebug.set(pro, this.internalDebug);
+			}
 			return pro;
 		},
 
+		/**
+		 * label names the deferred for Dfd.inspect and long stack traces, or with no name returns
+		 * 		the current label.  Labels are only kept while Dfd.debug is on.
+		 * @function
+		 * @public on prototype
+		 * @param {string} name - the label
+		 * @return {string} the label when called without a name
+		**/
+		label: function(name) {
+			if(!this.internalDebug) {
+				return;
+			}
+			if(name === undefined) {
+				return this.internalDebug.label;
+			}
+			this.internalDebug.label = name;
+			return;
+		},
+
 		/**
 		 * getter for the internalState property
 		 * @function
@@ -492,22 +1200,739 @@
 		 * setter for the internalState property
 		 * @function
 		 * @public on prototype
-		 * @param {int} newState - state int, 0 is pending, 1 is resolved, 2 is rejected
+		 * @param {int} newState - state int, 0 is pending, 1 is resolved, 2 is rejected, 3 is cancelled
 		 * @return {int} internalState integer
 		**/
 		setState: function(newState) {
-			if(newState == 0 || newState == 1 || newState == 2) {
+			if(newState == 0 || newState == 1 || newState == 2 || newState == 3) {
 				this.internalState = newState;
 			}
 			return this.internalState;
 		}
 	});
 	
-	//set this to the utility namespace 
-	self._u_ = self._u_ || {};
-	self._u_.Dfd = Dfd;
+	/**
+	 * AggregateError is what Dfd.any rejects with when every input rejected, the individual
+	 * 		rejection reasons are on its errors array in input order
+	 * @constructor
+	 * @public static on Dfd
+	**/
+	Dfd.AggregateError = defineError("AggregateError");
+
+	/**
+	 * TimeoutError is what promise.timeout rejects with, the timeout in ms is on its timeout property
+	 * @constructor
+	 * @public static on Dfd
+	**/
+	Dfd.TimeoutError = defineError("TimeoutError");
+
+	/**
+	 * CancelError is what toNative rejects with when the deferred is cancelled, the cancel reason is
+	 * 		on its reason property
+	 * @constructor
+	 * @public static on Dfd
+	**/
+	Dfd.CancelError = defineError("CancelError");
+
+	/**
+	 * from converts a native Promise, a foreign thenable or a plain value into a Dfd promise.  Progress
+	 * 		is carried over from thenables whose then accepts a third progress callback (jQuery, Q etc.)
+	 * @function
+	 * @public static on Dfd
+	 * @param {object} x - a promise, thenable or plain value
+	 * @return {promise} promise instance object
+	**/
+	Dfd.from = function(x) {
+		return toDfd(x).promise();
+	};
+
+	/**
+	 * promisify wraps a function that takes a node style (err, result) callback as its last argument into one
+	 * 		that returns a Dfd promise instead.  The wrapper passes its own this on to fn, and when fn calls
+	 * 		back with more than one result the promise resolves with an array of them.
+	 * @function
+	 * @public static on Dfd
+	 * @param {function} fn - the node style function
+	 * @param {object} options - an optional object which can contain:
+	 *        @param {bool} multiArgs - always resolve with an array of the results, even for a single one
+	 * @return {function} the promise returning function
+	**/
+	Dfd.promisify = function(fn, options) {
+		options = options || {};
+		return function() {
+			var dfd = new Dfd();
+			var args = Array.prototype.slice.call(arguments);
+			args.push(function(err) {
+				if(err != null) {
+					dfd.reject(err);
+				} else {
+					dfd.resolve(results(arguments, 1, options.multiArgs));
+				}
+			});
+			try {
+				fn.apply(this, args);
+			} catch(e) {
+				dfd.reject(e);
+			}
+			return dfd.promise();
+		};
+	};
+
+	/**
+	 * fromEvent returns a promise for the next time a node EventEmitter or DOM EventTarget fires
+	 * 		successEvent, or rejects the next time it fires errorEvent, whichever comes first.  Both
+	 * 		listeners are removed once either fires or the promise is cancelled.
+	 * @function
+	 * @public static on Dfd
+	 * @param {object} emitter - the EventEmitter or EventTarget
+	 * @param {string} successEvent - the event to resolve on
+	 * @param {string} errorEvent - optional event to reject on
+	 * @return {promise} promise instance object
+	**/
+	Dfd.fromEvent = function(emitter, successEvent, errorEvent) {
+		var dfd = new Dfd();
+		var removers = [];
+
+		removers.push(listen(emitter, successEvent, function() {
+			dfd.resolve(results(arguments, 0));
+		}));
+		if(errorEvent) {
+			removers.push(listen(emitter, errorEvent, function() {
+				dfd.reject(results(arguments, 0));
+			}));
+		}
+
+		//the listeners come off asynchronously, any firing in between is ignored as the dfd has already settled
+		dfd.always(function() {
+			removers.forEach(function(remove) { remove(); });
+		});
+		return dfd.promise();
+	};
+
+	/**
+	 * Represents a Pool Object, a queue of promise returning tasks which runs no more than
+	 * 		concurrency of them at a time.  Every call to add gets a promise for that task's result,
+	 * 		drain gets a promise for the results of the whole batch in the order the tasks were added,
+	 * 		and progress callbacks are notified with {completed, failed, running, queued, total} of the
+	 * 		current batch as tasks start and finish.
+	 *
+	 * 		A batch is everything added from the time the pool was last idle until it goes idle again.
+	 * 		In "failFast" mode the first task to reject rejects the batch's drain straight away and cancels
+	 * 		the tasks of the batch which haven't started, in "collectAll" mode every task gets to run and
+	 * 		the drain rejects at the end with a Dfd.AggregateError (errors by index, plus the results) if
+	 * 		any of them failed.
+	 * @constructor
+	 * @param {object} options - an optional object which can contain:
+	 *        @param {int} concurrency - the most tasks to have in flight at once, defaults to 4
+	 *        @param {string} mode - "failFast" (default) or "collectAll"
+	 * @returns {pool} the pool instance object
+	**/
+	var Pool = function(options) {
+		options = extend({
+			concurrency : 4,
+			mode        : "failFast"
+		}, options || {});
+
+		//setup some private instance variables
+		//queue - the jobs waiting for a free slot, in the order they were added
+		//inFlight - the jobs that have started and not yet settled
+		//batch - the results/errors/drains of everything added since the pool was last idle
+		//lastBatch - the batch that closed when the pool last went idle, for a drain called while idle
+		var queue       = [];
+		var inFlight    = [];
+		var paused      = false;
+		var batch       = newBatch();
+		var lastBatch   = null;
+		var progressDfd = new Dfd();
+
+		function newBatch() {
+			return {results: [], errors: [], total: 0, completed: 0, failed: 0, cancelled: 0, cancelReason: undefined, error: undefined, drains: []};
+		}
+
+		function report() {
+			progressDfd.notify({
+				completed : batch.completed,
+				failed    : batch.failed,
+				running   : inFlight.length,
+				queued    : queue.length,
+				total     : batch.total
+			});
+		}
+
+		//settle a drain deferred with the outcome of a batch
+		function deliver(b, dfd) {
+			if(b.error !== undefined) {
+				dfd.reject(b.error);
+			} else if(b.failed > 0 && options.mode === "collectAll") {
+				dfd.reject(new Dfd.AggregateError(b.failed + " of " + b.total + " tasks failed", {errors: b.errors, results: b.results}));
+			} else if(b.cancelled > 0) {
+				//a batch with cancelled tasks has holes in its results, so it doesn't get to resolve
+				dfd.reject(cancelError(b.cancelReason));
+			} else {
+				dfd.resolve(b.results);
+			}
+		}
+
+		function settleDrains(b) {
+			var drains = b.drains;
+			b.drains = [];
+			drains.forEach(function(dfd) {
+				deliver(b, dfd);
+			});
+		}
+
+		//start as many queued jobs as there are free slots, closing the batch if that leaves us idle
+		function next() {
+			while(!paused && inFlight.length < options.concurrency && queue.length > 0) {
+				start(queue.shift());
+			}
+			if(inFlight.length === 0 && queue.length === 0 && batch.total > 0) {
+				lastBatch = batch;
+				batch = newBatch();
+				settleDrains(lastBatch);
+			}
+		}
+
+		function start(job) {
+			var inner;
+			inFlight.push(job);
+			job.started = true;
+			try {
+				job.current = job.task();
+				inner = toDfd(job.current);
+			} catch(e) {
+				inner = new Dfd();
+				inner.reject(e);
+			}
+			inner.done(function(data) { job.dfd.resolve(data); });
+			inner.fail(function(e) { job.dfd.reject(e); });
+			inner.onCancel(function(reason) { job.dfd.cancel(reason); });
+			report();
+		}
+
+		//cancel jobs, taking the queued ones off the queue right away so that next() can't start them
+		//before their onCancel callbacks get to run
+		function cancelJobs(jobs, reason) {
+			queue = queue.filter(function(queued) {
+				return jobs.indexOf(queued) === -1;
+			});
+			jobs.forEach(function(job) {
+				job.dfd.cancel(reason);
+			});
+		}
+
+		function settled(job, state, data) {
+			var b = job.batch;
+			if(job.started) {
+				inFlight.splice(inFlight.indexOf(job), 1);
+			}
+			if(state === 1) {
+				b.results[job.index] = data;
+				b.completed++;
+			} else {
+				b.errors[job.index] = data;
+				b.failed++;
+			}
+			if(state === 3 && b.cancelled++ === 0) {
+				b.cancelReason = data;
+			}
+
+			//fail fast, cancelling the jobs of this batch which haven't started yet
+			if(state === 2 && options.mode === "failFast" && b.error === undefined) {
+				b.error = data;
+				settleDrains(b);
+				cancelJobs(queue.filter(function(queued) {
+					return queued.batch === b;
+				}), data);
+			}
+
+			report();
+			next();
+		}
+
+		/**
+		 * add queues up a task, which is called once there is a free slot and should return a promise
+		 * 		(or thenable or value) for its result.  Cancelling the returned promise takes the task
+		 * 		off the queue, or cancels the promise it returned if it has already started.
+		 *
+		 * @privileged
+		 * @public
+		 * @param  {function} task - the task function
+		 * @return {promise} promise instance object for the result of the task
+		**/
+		this.add = function(task) {
+			var job = {task: task, dfd: new Dfd(), batch: batch, index: batch.total++, started: false, current: null};
+
+			job.dfd.done(function(data) { settled(job, 1, data); });
+			job.dfd.fail(function(e) { settled(job, 2, e); });
+			job.dfd.onCancel(function(reason) {
+				if(job.started) {
+					cancelAll([job.current], reason);
+				} else if(queue.indexOf(job) !== -1) {
+					queue.splice(queue.indexOf(job), 1);
+				}
+				settled(job, 3, reason);
+			});
+
+			queue.push(job);
+			next();
+			report();
+			return job.dfd.promise();
+		};
+
+		/**
+		 * drain returns a promise for the current batch, resolved with the results in the order the tasks
+		 * 		were added once the pool is idle (or rejected as described for the mode, or with a
+		 * 		Dfd.CancelError for the first cancel if any task was cancelled).  Called while the pool
+		 * 		is idle it settles with the batch that finished last.
+		 *
+		 * @privileged
+		 * @public
+		 * @return {promise} promise instance object
+		**/
+		this.drain = function() {
+			var dfd = new Dfd();
+			if(inFlight.length === 0 && queue.length === 0) {
+				deliver(lastBatch || batch, dfd);
+			} else if(batch.error !== undefined) {
+				deliver(batch, dfd);
+			} else {
+				batch.drains.push(dfd);
+			}
+			return dfd.promise();
+		};
+
+		/**
+		 * pause stops the pool from starting any more tasks, those in flight carry on
+		 *
+		 * @privileged
+		 * @public
+		 * @return {null} null
+		**/
+		this.pause = function() {
+			paused = true;
+			return;
+		};
+
+		/**
+		 * resume lets a paused pool start tasks again
+		 *
+		 * @privileged
+		 * @public
+		 * @return {null} null
+		**/
+		this.resume = function() {
+			paused = false;
+			next();
+			return;
+		};
+
+		/**
+		 * cancel cancels every task in the pool, queued or in flight
+		 *
+		 * @privileged
+		 * @public
+		 * @param {object} reason - the reason to cancel with
+		 * @return {null} null
+		**/
+		this.cancel = function(reason) {
+			cancelJobs(queue.concat(inFlight), reason);
+			return;
+		};
+
+		//progress callbacks get the aggregate counts through notify
+		this.progress = progressDfd.progress.bind(progressDfd);
+
+		Object.freeze(this);
+		return this;
+	}
+
+	Pool.prototype.toString = function() {
+		return "[object Pool]";
+	};
+
+	/**
+	 * Pool is exposed as Dfd.Pool, see above
+	 * @constructor
+	 * @public static on Dfd
+	**/
+	Dfd.Pool = Pool;
+
+	/**
+	 * map calls fn(item, index) for every item, with no more than options.concurrency of the promises it
+	 * 		returns pending at once, and resolves with the results in the same order as the items.
+	 * 		Progress is the Pool's aggregate progress and cancelling the returned promise cancels the
+	 * 		tasks that are still queued or running.
+	 * @function
+	 * @public static on Dfd
+	 * @param {array} items - the items to map
+	 * @param {function} fn - called with (item, index), returns a promise, thenable or value
+	 * @param {object} options - optional, concurrency and mode as for Dfd.Pool
+	 * @return {promise} promise instance object
+	**/
+	Dfd.map = function(items, fn, options) {
+		var pool = new Pool(options);
+		var dfd = new Dfd();
+
+		items.forEach(function(item, index) {
+			pool.add(function() {
+				return fn(item, index);
+			});
+		});
+
+		pool.progress(function(data) { dfd.notify(data); });
+		var drained = pool.drain();
+		drained.done(function(data) { dfd.resolve(data); });
+		drained.fail(function(e) { dfd.reject(e); });
+		dfd.onCancel(function(reason) {
+			pool.cancel(reason);
+		});
+		return dfd.promise();
+	};
+
+	/**
+	 * schedulers are the stock task schedulers that can be set as Dfd.scheduler
+	 * 		microtask - the default, runs tasks on the microtask queue (queueMicrotask where there is one)
+	 * 		sync - runs tasks right away, queueing any that get scheduled while it is already running
+	 * 		manual - a factory for a scheduler that only runs its tasks when you call its flush()
+	 * @public static on Dfd
+	**/
+	Dfd.schedulers = {
+		microtask: function(task) {
+			if(typeof queueMicrotask === "function") {
+				queueMicrotask(task);
+			} else if(typeof Promise === "function") {
+				Promise.resolve().then(task);
+			} else {
+				setTimeout(task, 0);
+			}
+			return;
+		},
+
+		sync: (function() {
+			var queue = [];
+			var running = false;
+			return function(task) {
+				queue.push(task);
+				if(!running) {
+					running = true;
+					runTasks(queue);
+					running = false;
+				}
+				return;
+			};
+		})(),
+
+		manual: function() {
+			var queue = [];
+			var scheduler = function(task) {
+				queue.push(task);
+				return;
+			};
+			scheduler.flush = function() {
+				return runTasks(queue);
+			};
+			return scheduler;
+		}
+	};
+
+	/**
+	 * scheduler is the function every Dfd callback (and State trigger) is dispatched through.  Set it to
+	 * 		Dfd.schedulers.sync or a Dfd.schedulers.manual() in tests.
+	 * @public static on Dfd
+	**/
+	Dfd.scheduler = Dfd.schedulers.microtask;
+
+	/**
+	 * schedule runs task through whichever Dfd.scheduler is currently set
+	 * @function
+	 * @public static on Dfd
+	 * @param {function} task - the task to run
+	 * @return {null} null
+	**/
+	Dfd.schedule = function(task) {
+		Dfd.scheduler(task);
+		return;
+	};
+
+	/**
+	 * clock is the timer abstraction used by timeout, delay and retry.  Swap it out for an object with the
+	 * 		same setTimeout/clearTimeout/now functions (a virtual clock) to drive them from tests.
+	 * @public static on Dfd
+	**/
+	Dfd.clock = {
+		setTimeout: function(fn, ms) {
+			return setTimeout(fn, ms);
+		},
+		clearTimeout: function(timer) {
+			return clearTimeout(timer);
+		},
+		now: function() {
+			return Date.now();
+		}
+	};
+
+	/**
+	 * delay returns a promise that resolves with value after ms milliseconds, if value is a promise
+	 * 		or thenable the returned promise then follows it.  Cancelling it clears the timer.
+	 * @function
+	 * @public static on Dfd
+	 * @param {int} ms - the number of milliseconds to wait
+	 * @param {object} value - the value to resolve with
+	 * @return {promise} promise instance object
+	**/
+	Dfd.delay = function(ms, value) {
+		var dfd = new Dfd();
+		var pro = dfd.promise();
+		var clock = Dfd.clock;
+		var timer = clock.setTimeout(function() {
+			resolveValue(dfd, pro, dfd, value);
+		}, ms);
+		dfd.onCancel(function() {
+			clock.clearTimeout(timer);
+		});
+		return pro;
+	};
+
+	/**
+	 * retry calls fn, which should return a promise (or thenable or value), and calls it again after a
+	 * 		delay each time it rejects or throws until it resolves or we run out of attempts.  Every failed
+	 * 		attempt is notified as {attempt, attempts, error, nextDelay} on the progress channel, and
+	 * 		cancelling the returned promise stops any further attempts and cancels the one in flight.
+	 * @function
+	 * @public static on Dfd
+	 * @param {function} fn - called with the 1 based attempt number, returns a promise
+	 * @param {object} options - an optional object which can contain:
+	 *        @param {int} attempts - the most times fn gets called, defaults to 3
+	 *        @param {int} delay - the base delay between attempts in ms, defaults to 100
+	 *        @param {string} backoff - "fixed" (default) or "exponential"
+	 *        @param {number} factor - the multiplier for exponential backoff, defaults to 2
+	 *        @param {int} maxDelay - a cap on the delay between attempts
+	 *        @param {bool || number} jitter - randomise the delay, true for full jitter or a 0-1 fraction
+	 *        @param {function} shouldRetry - called with (error, attempt), return false to give up early
+	 * @return {promise} promise instance object
+	**/
+	Dfd.retry = function(fn, options) {
+		options = extend({
+			attempts    : 3,
+			delay       : 100,
+			backoff     : "fixed",
+			factor      : 2,
+			maxDelay    : Infinity,
+			jitter      : false,
+			shouldRetry : function() { return true; }
+		}, options || {});
+
+		var dfd = new Dfd();
+		var clock = Dfd.clock;
+		var timer = null;
+		var current = null;
+
+		function attempt(n) {
+			var inner;
+			try {
+				current = fn(n);
+				inner = toDfd(current);
+			} catch(e) {
+				current = null;
+				inner = new Dfd();
+				inner.reject(e);
+			}
+			inner.done(function(data) { dfd.resolveWith(this, data); });
+			inner.fail(function(e) {
+				if(dfd.state() !== 0) {
+					return;
+				}
+				if(n >= options.attempts || !options.shouldRetry(e, n)) {
+					dfd.reject(e);
+					return;
+				}
+				var wait = backoffDelay(options, n);
+				dfd.notify({attempt: n, attempts: options.attempts, error: e, nextDelay: wait});
+				timer = clock.setTimeout(function() {
+					timer = null;
+					attempt(n + 1);
+				}, wait);
+			});
+		}
+
+		dfd.onCancel(function(reason) {
+			if(timer !== null) {
+				clock.clearTimeout(timer);
+			}
+			cancelAll([current], reason);
+		});
+
+		attempt(1);
+		return dfd.promise();
+	};
+
+	/**
+	 * static version of when so that you don't need a throwaway deferred to get at it
+	 * @function
+	 * @public static on Dfd
+	 * @param {array} promises - an array of promises or truthy/falsey objects
+	 * @param {object} options - optional, see when
+	 * @return {promise} promise instance object
+	**/
+	Dfd.when = function(promises, options) {
+		return Dfd.prototype.when(promises, options);
+	};
+
+	/**
+	 * all resolves with an array of the results, in the same order as the items, once every item
+	 * 		has resolved, or rejects with the reason of the first item to reject (a Dfd.CancelError
+	 * 		for one that is cancelled)
+	 * @function
+	 * @public static on Dfd
+	 * @param {array} items - an array of promises, thenables or plain values
+	 * @param {object} options - optional, progressReducer as for when
+	 * @return {promise} promise instance object
+	**/
+	Dfd.all = function(items, options) {
+		return combine(items, options, function(ctx, index, state, data) {
+			if(state !== 1) {
+				ctx.dfd.reject(state === 3 ? cancelError(data) : data);
+				return;
+			}
+			ctx.results[index] = data;
+			if(ctx.settledCount === ctx.total) {
+				ctx.dfd.resolve(ctx.results);
+			}
+		}, function(ctx) {
+			ctx.dfd.resolve(ctx.results);
+		});
+	};
+
+	/**
+	 * allSettled waits for every item and always resolves, with an array of {state, value} objects
+	 * 		in item order where state is "resolved", "rejected" or "cancelled"
+	 * @function
+	 * @public static on Dfd
+	 * @param {array} items - an array of promises, thenables or plain values
+	 * @param {object} options - optional, progressReducer as for when
+	 * @return {promise} promise instance object
+	**/
+	Dfd.allSettled = function(items, options) {
+		return combine(items, options, function(ctx, index, state, data) {
+			ctx.results[index] = {state: stateNames[state], value: data};
+			if(ctx.settledCount === ctx.total) {
+				ctx.dfd.resolve(ctx.results);
+			}
+		}, function(ctx) {
+			ctx.dfd.resolve(ctx.results);
+		});
+	};
+
+	/**
+	 * race settles the same way as the first item to settle, rejecting with a Dfd.CancelError if that
+	 * 		one was cancelled.  An empty array never settles.
+	 * @function
+	 * @public static on Dfd
+	 * @param {array} items - an array of promises, thenables or plain values
+	 * @param {object} options - optional, progressReducer as for when
+	 * @return {promise} promise instance object
+	**/
+	Dfd.race = function(items, options) {
+		return combine(items, options, function(ctx, index, state, data) {
+			if(state === 1) {
+				ctx.dfd.resolve(data);
+			} else {
+				ctx.dfd.reject(state === 3 ? cancelError(data) : data);
+			}
+		}, function(ctx) {});
+	};
+
+	/**
+	 * any resolves with the first item to resolve, or rejects with a Dfd.AggregateError holding
+	 * 		all of the rejection reasons (Dfd.CancelErrors for cancelled items) if no item resolves
+	 * 		(or items is empty)
+	 * @function
+	 * @public static on Dfd
+	 * @param {array} items - an array of promises, thenables or plain values
+	 * @param {object} options - optional, progressReducer as for when
+	 * @return {promise} promise instance object
+	**/
+	Dfd.any = function(items, options) {
+		return combine(items, options, function(ctx, index, state, data) {
+			if(state === 1) {
+				ctx.dfd.resolve(data);
+				return;
+			}
+			ctx.results[index] = state === 3 ? cancelError(data) : data;
+			if(ctx.settledCount === ctx.total) {
+				ctx.dfd.reject(new Dfd.AggregateError("All promises were rejected", {errors: ctx.results}));
+			}
+		}, function(ctx) {
+			ctx.dfd.reject(new Dfd.AggregateError("All promises were rejected", {errors: ctx.results}));
+		});
+	};
+
+	/**
+	 * debug turns on the debug bookkeeping for deferreds created while it is set: labels, creation stacks,
+	 * 		the registry behind Dfd.inspect and long stack traces for unhandled rejections.  It costs a
+	 * 		stack capture per deferred so leave it off in production.
+	 * @public static on Dfd
+	**/
+	Dfd.debug = false;
+
+	/**
+	 * inspect lists the deferreds created in debug mode which are still pending, oldest first, so you can
+	 * 		see where a hung promise came from and what it is waiting on
+	 * @function
+	 * @public static on Dfd
+	 * @return {array} an array of {id, label, age, stack, parent, waitingOn} where parent is the id of the
+	 *                 deferred it was chained from with then and waitingOn the id of the promise it adopted
+	**/
+	Dfd.inspect = function() {
+		var now = Date.now();
+		return Object.keys(registry).map(function(id) {
+			var info = registry[id];
+			return {
+				id        : info.id,
+				label     : info.label,
+				age       : now - info.createdAt,
+				stack     : info.stack,
+				parent    : info.parent ? info.parent.id : null,
+				waitingOn : info.waitingOn ? info.waitingOn.id : null
+			};
+		});
+	};
+
+	/**
+	 * onUnhandledRejection is called with the rejection data and the promise of any deferred which
+	 * 		was rejected without a fail/then bound to it.  Overwrite it to hook in your own reporting,
+	 * 		or set it to null to keep quiet about it.
+	 * @function
+	 * @public static on Dfd
+	 * @param {object} data - the data the deferred was rejected with
+	 * @param {promise} pro - the promise of the rejected deferred
+	 * @param {string} stack - in debug mode, the long stack trace stitched across the then chain
+	 * @return {null} null
+	**/
+	Dfd.onUnhandledRejection = function(data, pro, stack) {
+		if(typeof console !== "undefined") {
+			console.error("Unhandled Dfd rejection", stack || data);
+		}
+		return;
+	};
+
+	/**
+	 * onCallbackError receives any exception thrown by a done/fail/always/progress callback, the other
+	 * 		callbacks still run.  By default it logs to console.error, overwrite it or null it out.
+	 * @function
+	 * @public static on Dfd
+	 * @param {object} e - the thrown exception
+	 * @return {null} null
+	**/
+	Dfd.onCallbackError = function(e) {
+		if(typeof console !== "undefined") {
+			console.error("Error in Dfd callback", e);
+		}
+		return;
+	};
 
-	//and also return the Constructor so that it could be saved and used directly
+	//return the Constructor, the loader above decides where it ends up
 	return Dfd;
-})();
+});
 
@@ -0,0 +1,8 @@
+/**
+ * ES module entry point for Promise.js, which is itself a UMD file.  Node and bundlers hand the
+ * 		CommonJS export of promise.js over as the default export, and we also re-export it by name.
+**/
+import Dfd from "./promise.js";
+
+export { Dfd };
+export default Dfd;
@@ -11,7 +11,20 @@
  *        but that cost in very few instnaces is merited by the encapsulation gains
  * @returns {State} State constructor
 **/
-(function() {
+(function(root, factory) {
+	//State uses Dfd, which is handed in as a getter so that it is only looked up when it is
+	//first needed, meaning promise.js and state.js can be loaded in either order
+	if(typeof define === "function" && define.amd) {
+		define(["./promise"], function(Dfd) {
+			return factory(function() { return Dfd; });
+		});
+	} else if(typeof module === "object" && module.exports) {
+		module.exports = factory(function() { return require("./promise.js"); });
+	} else {
+		root._u_ = root._u_ || {};
+		root._u_.State = factory(function() { return root._u_.Dfd; });
+	}
+})(typeof self !== "undefined" ? self : this, function(getDfd) {
 	//temp helper function since this state machine lib should be stand alone and not dependant on any
 	//unerscore or utility library
 	function extend(dest, source) {	for(var prop in source) {	dest[prop] = source[prop]; } return dest; }
@@ -33,6 +46,29 @@
 		return;
 	}
 
+	/**
+	 * trigger schedules the callbacks to be called with the data, through the same scheduler that
+	 * 		_u_.Dfd uses so that state and promise callbacks share one ordering (and tests can swap
+	 * 		in a sync or manual scheduler for both at once).  Without Dfd loaded it falls back to a timeout.
+	 * @function
+	 * @private to this closure
+	 * @param {object} data - data to pass as the argument of the callback
+	 * @param {array[function]} cbs - an array of callback functions
+	 * @return {null} null
+	**/
+	function trigger(data, cbs) {
+		var task = function() {
+			callback(data, cbs);
+		};
+		var Dfd = getDfd();
+		if(Dfd && typeof Dfd.schedule === "function") {
+			Dfd.schedule(task);
+		} else {
+			setTimeout(task, 0);
+		}
+		return;
+	}
+
 	/**
 	 * sanitizeCbs ensures that the callbacks are returns in an array format
 	 * 		this is a helper function to keep it from being used all over the place below
@@ -49,179 +85,2606 @@
 	}
 	
 	/**
-	 * Represents a State Object
-	 * @constructor
-	 * @param {object} options - an options argument that defines the state machine
-	 *                         both its initState as a string and an array of possible
-	 *                         states.
-	 * @returns {deferred} the deferred instance object
+	 * toList turns a single state name (or "*" for any) or an array of them into an array
+	 * @function
+	 * @private to this closure
+	 * @param {string || array[string]} states - a state name or an array of state names
+	 * @return {array[string]} an array of state names, ["*"] if states was not given
 	**/
-	var State = function(options) {
-		options = options || {
-			initState : "new",
-			states    : ["new"]
+	function toList(states) {
+		if(states === undefined || states === null) {
+			return ["*"];
 		}
+		return {}.toString.call(states) === '[object Array]' ? states : [states];
+	}
 
-		//setup some instance parameters
-		this.internalState = options.initState;
-		this.states = [];
-		this.callbacks = {
-			all  : {
-				enter : [],
-				leave : [],
-				on    : []
+	/**
+	 * resolve turns a state name into the full id of a state the machine has.  Nested states have dotted
+	 * 		ids ("editing.image"), so a name is looked up as an exact id first, then relative to each of
+	 * 		the ancestors of the from state (so siblings can just say "image"), then as the one and only
+	 * 		id ending in that name.
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {string} name - the state name or id
+	 * @param {string} from - optionally the state id to resolve relative to
+	 * @return {string} the full state id, or null if there isn't exactly one match
+	**/
+	function resolve(fsm, name, from) {
+		if(typeof name !== "string") {
+			return null;
+		}
+		if(fsm.nodes[name]) {
+			return name;
+		}
+		for(var id = from; fsm.nodes[id]; id = fsm.nodes[id].parent) {
+			if(fsm.nodes[id + "." + name]) {
+				return id + "." + name;
 			}
 		}
+		var matches = fsm.states.filter(function(id) {
+			return id.slice(-name.length - 1) === "." + name;
+		});
+		return matches.length === 1 ? matches[0] : null;
+	}
 
-		this.addStates(options.states);
+	/**
+	 * ancestry lists a state followed by its parent, its parent's parent and so on up to the top level
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {string} id - the state id
+	 * @return {array[string]} the state ids, innermost first, empty if the state doesn't exist
+	**/
+	function ancestry(fsm, id) {
+		var path = [];
+		for(; fsm.nodes[id]; id = fsm.nodes[id].parent) {
+			path.push(id);
+		}
+		return path;
+	}
 
-		function trigger(data, cbs) {
-			setTimeout(callback(
-				data, 
-				cbs)
-			,0);
-		};
+	/**
+	 * descend works out which leaf state is entered when a state is entered.  A state with children
+	 * 		enters its initial child (the first one if it doesn't say), unless it declares history and
+	 * 		has been in one of them before, then "shallow" resumes the child it was last in (which
+	 * 		enters its own initial child etc.) and "deep" resumes the exact leaf it was last in.
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {string} id - the state id being entered
+	 * @return {string} the id of the leaf state that will be active
+	**/
+	function descend(fsm, id) {
+		var node = fsm.nodes[id];
+		while(node.children.length > 0) {
+			var last = node.history ? fsm.internalLastActive[node.id] : null;
+			if(!fsm.nodes[last]) {
+				node = fsm.nodes[node.initial] || fsm.nodes[node.children[0]];
+			} else if(node.history === "deep") {
+				return last;
+			} else {
+				node = fsm.nodes[node.id + "." + last.slice(node.id.length + 1).split(".")[0]];
+			}
+		}
+		return node.id;
+	}
 
-		Object.defineProperties(this, {
-		  "internalState" : {enumerable:false, writable:true, configurable:false},
-		  "states"        : {enumerable:false, writable:false, configurable:false},
-		  "callbacks"     : {enumerable:false, writable:false, configurable:false},
+	/**
+	 * route works out the states that are left and entered going from the from leaf to the target, which
+	 * 		are the ones below the innermost state that contains both of them.  Going to a state that
+	 * 		contains the from leaf leaves and re-enters it.
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {string} from - the id of the active leaf state
+	 * @param {string} target - the id of the state being gone to
+	 * @return {object} {leaf, exits, entries} the leaf that ends up active, the states left innermost
+	 *                  first and the states entered outermost first
+	**/
+	function route(fsm, from, target) {
+		var leaf = descend(fsm, target);
+		var exits = ancestry(fsm, from);
+		var domain = ancestry(fsm, target).slice(1).filter(function(id) {
+			return exits.indexOf(id) !== -1;
+		})[0];
+		var entries = ancestry(fsm, leaf);
+		if(domain) {
+			exits = exits.slice(0, exits.indexOf(domain));
+			entries = entries.slice(0, entries.indexOf(domain));
+		}
+		return {leaf: leaf, exits: exits, entries: entries.reverse()};
+	}
+
+	/**
+	 * regionOf finds the parallel region a state is in
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {string} id - the state id
+	 * @return {string} the id of the region, null if the state isn't in one
+	**/
+	function regionOf(fsm, id) {
+		var top = ancestry(fsm, id).pop();
+		return top && fsm.nodes[top].region ? top : null;
+	}
+
+	/**
+	 * leaves lists the active leaf states, one for a plain machine and one per region for a machine with
+	 * 		parallel regions
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @return {array[string]} the ids of the active leaf states
+	**/
+	function leaves(fsm) {
+		if(fsm.regions.length === 0) {
+			return [fsm.internalState];
+		}
+		return fsm.regions.map(function(region) {
+			return fsm.internalState[region];
 		});
+	}
 
-    //Freeze the this so that the functions cannot be changed/overridden nor modified
-		Object.seal(this);
- 		//Freeze the prototype so that the functions cannot be changed/overridden nor modified
-		Object.freeze(State.prototype);
-		
-		return this;
+	/**
+	 * activeIn gets the active leaf state that a transition to the given state would leave, which is the
+	 * 		active state of its region in a machine with parallel regions
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {string} id - the state id
+	 * @return {string} the id of the active leaf state
+	**/
+	function activeIn(fsm, id) {
+		return fsm.regions.length === 0 ? fsm.internalState : fsm.internalState[regionOf(fsm, id)];
 	}
 
-	//extend the State prototype with the functions that it needs.
-	//This is a performance/security tradeoff in tht these functions are 
-	//kinda exposed (even though we freeze them below), but they are on
-	//the prototype chain so tht you could extend this object and add things
-	//or overload some prototype methods
-	extend(State.prototype, {
-		toString: function() {
-			return "[object StateMachine]";
-		},
+	/**
+	 * setActive makes a leaf state the active one, of its region in a machine with parallel regions
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {string} id - the id of the leaf state
+	 * @return {null} null
+	**/
+	function setActive(fsm, id) {
+		if(fsm.regions.length === 0) {
+			fsm.internalState = id;
+		} else {
+			fsm.internalState[regionOf(fsm, id)] = id;
+		}
+		return;
+	}
 
-		Promise: function(fsm, target) {
-			this.toString = function() {
-				return "[object StatePromise]";
+	/**
+	 * locate resolves a state name relative to each of the active states in turn (see resolve)
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {string} name - the state name or id
+	 * @return {string} the full state id, or null if there isn't one
+	**/
+	function locate(fsm, name) {
+		var active = leaves(fsm);
+		for(var i = 0; i < active.length; i++) {
+			var id = resolve(fsm, name, active[i]);
+			if(id) {
+				return id;
 			}
-			this.on        = fsm.done.bind(fsm);
-			this.state     = fsm.state.bind(fsm);
-			this.getStates = fsm.getStates.bind(fsm);
-			return this;
-		},
+		}
+		return resolve(fsm, name);
+	}
 
-		on: function(state, cbs, constraint) {
-			constraint = constraint || "on";
-			cbs = sanitizeCbs(cbs);
-			if(cbs.length > 0) {
-				var currentState = this.state();
-				this.callbacks[state][constraint] = this.callbacks[state][constraint].concat(cbs)
+	/**
+	 * within checks whether a state is named in a list made by toList, where "*" matches any state and a
+	 * 		parent state matches all of the states nested in it
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {array[string]} list - the list of state names
+	 * @param {string} id - the state id to look for
+	 * @return {bool} true if the state is in the list
+	**/
+	function within(fsm, list, id) {
+		if(list.indexOf("*") !== -1) {
+			return true;
+		}
+		var path = ancestry(fsm, id);
+		return list.some(function(name) {
+			return path.indexOf(resolve(fsm, name)) !== -1;
+		});
+	}
+
+	/**
+	 * refusal works out whether the machine may go from its current state to the given state.  If the
+	 * 		machine declares transitions one of the transitions from the current state to that state
+	 * 		must have a guard that passes (or no guard at all).  Machines without any transitions can go
+	 * 		from any state to any other like they always could, and the same goes for a parallel region
+	 * 		without transitions of its own when the machine doesn't declare any for all regions.
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {object} args - the {leavingState, enteringState, data} of the attempted transition
+	 * @return {object} null if the transition is allowed, otherwise {reason, message} where reason is
+	 *                  "notAllowed" or "guard"
+	**/
+	function refusal(fsm, args) {
+		var region = regionOf(fsm, args.enteringState);
+		var table = fsm.transitions.filter(function(transition) {
+			return !transition.region || transition.region === region;
+		});
+		if(table.length === 0) {
+			return null;
+		}
+
+		var candidates = table.filter(function(transition) {
+			return within(fsm, transition.from, args.leavingState) && within(fsm, transition.to, args.enteringState);
+		});
+		if(candidates.length === 0) {
+			return {reason: "notAllowed", message: "No transition from \"" + args.leavingState + "\" to \"" + args.enteringState + "\""};
+		}
+
+		for(var i = 0; i < candidates.length; i++) {
+			if(typeof candidates[i].guard !== "function") {
+				return null;
 			}
-			return;
-		},
+			//a guard that throws counts as a guard that said no
+			try {
+				if(candidates[i].guard.call(null, args, fsm.internalContext)) {
+					return null;
+				}
+			} catch(e) {
+				return {reason: "guard", message: "Guard threw: " + e.message, error: e};
+			}
+		}
+		return {reason: "guard", message: "Guard refused the transition from \"" + args.leavingState + "\" to \"" + args.enteringState + "\""};
+	}
 
-		go: function(state, data) {
-			data = data || {};
-			if(state != this.state()) {
-				var args = {
-					leavingState  : this.state(),
-					enteringState : state,
-					data          : data
-				};
+	/**
+	 * toHandlers normalises the handlers of an event (or delayed transition) given as a target, a
+	 * 		{target, guard, actions} handler or an array of either into an array of handlers
+	 * @function
+	 * @private to this closure
+	 * @param {string || object || array} handlers - the handlers as declared
+	 * @return {array[object]} the {target, guard, actions} handlers
+	**/
+	function toHandlers(handlers) {
+		return toList(handlers).map(function(handler) {
+			handler = typeof handler === "object" ? handler : {target: handler};
+			return {
+				target  : handler.target || null,
+				guard   : handler.guard,
+				actions : handler.actions ? sanitizeCbs(handler.actions) : []
+			};
+		});
+	}
+
+	/**
+	 * unknown is the refusal for a state the machine doesn't have
+	 * @function
+	 * @private to this closure
+	 * @param {string} name - the state that was asked for
+	 * @return {object} {reason, message}
+	**/
+	function unknown(name) {
+		return {reason: "unknownState", message: "Unknown state \"" + name + "\""};
+	}
 
-				var cbs = [];
-				
-				//gather and trigger the "leave" callbacks... these are still sync its just a courtesy issue of ordering... 
-				//you don't get to block or stop the state change in the callback
-				cbs = cbs.concat(this.callbacks.all.leave).concat(this.callbacks[this.state()].leave);
-				trigger(args, cbs);
+	/**
+	 * callbacksFor gathers the "all" callbacks and then the callbacks of each of the states for a constraint
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {array[string]} states - the states whose callbacks we want, in the order we want them
+	 * @param {string} constraint - enter, leave, on or rejected
+	 * @return {array[function]} the callbacks, "all" ones first
+	**/
+	function callbacksFor(fsm, states, constraint) {
+		return states.reduce(function(cbs, state) {
+			return fsm.callbacks[state] ? cbs.concat(fsm.callbacks[state][constraint]) : cbs;
+		}, fsm.callbacks.all[constraint]);
+	}
 
-				//now gather and trigger the "enter" callbacks... same constraints as leave
-				cbs = [];
-				cbs = cbs.concat(this.callbacks.all.enter).concat(this.callbacks[state].enter);
-				trigger(args, cbs);
+	/**
+	 * sequence calls the callbacks one after the other, waiting on any Dfd promise (or thenable) that
+	 * 		a callback returns before calling the next one.  A callback that returns false, throws or
+	 * 		returns a promise that rejects or is cancelled vetoes the rest.
+	 * @function
+	 * @private to this closure
+	 * @param {array[function]} cbs - the callbacks to call in order
+	 * @param {object} args - the {leavingState, enteringState, data} to call them with
+	 * @return {promise} Dfd promise resolved with args once all of them are through, or rejected with
+	 *                   the veto (false, the error, the rejection data or a Dfd.CancelError)
+	**/
+	function sequence(cbs, args) {
+		var Dfd = getDfd();
+		var dfd = new Dfd();
+		var i = 0;
 
-				//now gather and trigger the "on" callbacks.
-				cbs = [];
-				cbs = cbs.concat(this.callbacks.all.on).concat(this.callbacks[state].on);
-				trigger(args, cbs);
+		function next() {
+			if(i === cbs.length) {
+				dfd.resolve(args);
+				return;
 			}
-			return;
-		},
-
-		addStates: function(states) {
-			if(!(item && {}.toString.call(item) === '[object Array]')) {
-				states = [states];
+			var result;
+			try {
+				result = cbs[i++].call(null, args);
+			} catch(e) {
+				dfd.reject(e);
+				return;
 			}
-			states.forEach(function(state) {
-				this.states.push(state);
-				this.callbacks[state] = this.callbacks[state] || {enter: [], leave: [], on: []};
-			}, this);
-		},
+			if(result === false) {
+				dfd.reject(false);
+				return;
+			}
+			//then is silent about a cancel, so that is a veto we have to catch ourselves
+			var pro = Dfd.from(result);
+			pro.onCancel(function(reason) {
+				dfd.reject(new Dfd.CancelError("Promise was cancelled", {reason: reason}));
+			});
+			pro.then(next, dfd.reject.bind(dfd));
+		}
 
-		removeStates: function(states) {
-			if(!(item && {}.toString.call(item) === '[object Array]')) {
-				states = [states];
-			};
-			var toKill = [];
+		Dfd.schedule(next);
+		return dfd.promise();
+	}
 
-			for(var i = 0; i < this.states.length; i++) {
-				if(this.states[i] in states) {
-					toKill.push(i);
-					delete this.callbacks[this.states[i]];
-				}
-			};
+	/**
+	 * refuse settles a transition that isn't going to happen, it adds the reason and message to the args,
+	 * 		triggers the "rejected" callbacks with them and rejects the transition's deferred with them too
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {deferred} dfd - the deferred go handed out for the transition
+	 * @param {object} args - the {leavingState, enteringState, data} of the transition
+	 * @param {object} refused - the {reason, message} and maybe error of why it isn't happening
+	 * @return {null} null
+	**/
+	function refuse(fsm, dfd, args, refused) {
+		extend(args, refused);
+		trigger(args, callbacksFor(fsm, [args.enteringState], "rejected"));
+		dfd.reject(args);
+		return;
+	}
 
-			toKill.forEach(function(index) {
-				this.states.splice(index, 1);
-			}, this);
-		},
+	/**
+	 * jobDfd makes the deferred for a queued job.  Every refusal is reported through the rejected callbacks
+	 * 		already, so the job's promise gets a fail of its own and rejecting it doesn't go to
+	 * 		_u_.Dfd.onUnhandledRejection when nobody else binds one.
+	 * @function
+	 * @private to this closure
+	 * @return {deferred} a fresh Dfd
+	**/
+	function jobDfd() {
+		var dfd = new (getDfd())();
+		dfd.fail(function() {});
+		return dfd;
+	}
 
-		getStates: function() {
-			return this.states;
+	//the clock to fall back on when State is used without promise.js
+	var localClock = {
+		setTimeout: function(fn, ms) {
+			return setTimeout(fn, ms);
 		},
-
-		/**
-		 * getter for the internalState property
-		 * @function
-		 * @public on prototype
-		 * @return {int} internalState integer
-		**/
-		state: function() {
-			return this.internalState;
+		clearTimeout: function(timer) {
+			return clearTimeout(timer);
 		},
+		now: function() {
+			return Date.now();
+		}
+	};
 
-		/**
-		 * setter for the internalState property
-		 * @function
-		 * @public on prototype
-		 * @param {int} newState - state int, 0 is pending, 1 is resolved, 2 is rejected
-		 * @return {int} internalState integer
-		**/
-		setState: function(newState) {
-			if(newState in states) {
-				this.internalState = newState;
-			}
-			return this.state();
-		},
+	/**
+	 * clockOf gets the clock timers go through, the one the machine was given or else _u_.Dfd.clock (looked
+	 * 		up each time so that swapping in a virtual clock in tests applies to machines already made),
+	 * 		or the real timers when Dfd isn't loaded
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @return {object} the {setTimeout, clearTimeout, now} clock
+	**/
+	function clockOf(fsm) {
+		var Dfd = getDfd();
+		return fsm.clock || (Dfd && Dfd.clock) || localClock;
+	}
 
-		promise: function() {
-			var pro = new this.Promise(this);
-			return pro;
-		},
-	});
-	
-	//set this to the utility namespace 
-	self._u_ = self._u_ || {};
-	self._u_.State = State;
+	/**
+	 * startTimers notes when the states were entered and starts the timers of their delayed transitions,
+	 * 		each of which sends the machine an "after:<ms>" event that only the state itself handles
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {array[string]} ids - the states that have been entered
+	 * @return {null} null
+	**/
+	function startTimers(fsm, ids) {
+		var clock = clockOf(fsm);
+		ids.forEach(function(id) {
+			fsm.internalEnteredAt[id] = clock.now();
+			fsm.internalTimers[id] = fsm.nodes[id].after.map(function(delay) {
+				return clock.setTimeout(function() {
+					var job = {
+						event : "after:" + delay,
+						data  : {},
+						dfd   : jobDfd(),
+						from  : id
+					};
+					fsm.internalQueue.push(job);
+					runQueue(fsm);
+				}, delay);
+			});
+		});
+		return;
+	}
 
-	//and also return the Constructor so that it could be saved and used directly
-	return State;
-})()
+	/**
+	 * stopTimers cancels the timers of states that have been left, so delayed transitions never fire once
+	 * 		the machine is out of the state that declared them
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {array[string]} ids - the states that have been left
+	 * @return {null} null
+	**/
+	function stopTimers(fsm, ids) {
+		var clock = clockOf(fsm);
+		ids.forEach(function(id) {
+			(fsm.internalTimers[id] || []).forEach(function(timer) {
+				clock.clearTimeout(timer);
+			});
+			delete fsm.internalTimers[id];
+			delete fsm.internalEnteredAt[id];
+		});
+		return;
+	}
+
+	/**
+	 * record adds a committed transition to the audit log, and to the steps that back and forward move
+	 * 		through, moving the cursor for back and forward themselves and dropping the steps that were
+	 * 		gone back over for any other transition.  Both are kept to maxHistory entries.
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {object} job - the job that ran the transition
+	 * @param {object} args - the args of the transition
+	 * @return {null} null
+	**/
+	function record(fsm, job, args) {
+		var entry = {
+			from      : args.leavingState,
+			to        : args.enteringState,
+			data      : args.data,
+			event     : args.event,
+			timestamp : clockOf(fsm).now()
+		};
+		if(job.navigate) {
+			entry.navigate = job.navigate;
+			fsm.internalCursor += job.navigate === "back" ? -1 : 1;
+		} else {
+			fsm.internalSteps.splice(fsm.internalCursor, fsm.internalSteps.length, entry);
+			fsm.internalCursor = fsm.internalSteps.length;
+		}
+		fsm.internalLog.push(entry);
+
+		if(fsm.internalLog.length > fsm.maxHistory) {
+			fsm.internalLog.splice(0, fsm.internalLog.length - fsm.maxHistory);
+		}
+		if(fsm.internalSteps.length > fsm.maxHistory) {
+			var extra = fsm.internalSteps.length - fsm.maxHistory;
+			fsm.internalSteps.splice(0, extra);
+			fsm.internalCursor = Math.max(0, fsm.internalCursor - extra);
+		}
+		return;
+	}
 
+	/**
+	 * navigate runs back or forward: it finds the step to undo or redo and then runs it as a transition
+	 * 		like go would, to the state the step left for back or the one it entered for forward.  The
+	 * 		callbacks get the data the target state was entered with originally.
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {object} job - the {navigate, dfd} queued up by back or forward
+	 * @return {null} null
+	**/
+	function navigate(fsm, job) {
+		var back = job.navigate === "back";
+		var step = fsm.internalSteps[back ? fsm.internalCursor - 1 : fsm.internalCursor];
+		if(!step) {
+			refuse(fsm, job.dfd, {leavingState: fsm.state(), enteringState: fsm.state(), data: {}, event: null}, {
+				reason  : "noHistory",
+				message : "There is nothing to go " + job.navigate + " to"
+			});
+			return;
+		}
+		var previous = fsm.internalSteps[fsm.internalCursor - 2];
+		job.state = back ? step.from : step.to;
+		job.data = back ? (previous ? previous.data : {}) : step.data;
+		transition(fsm, job);
+		return;
+	}
+
+	/**
+	 * persist saves a snapshot of the machine to its storage adapter, if it was given one
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @return {null} null
+	**/
+	function persist(fsm) {
+		if(fsm.persist) {
+			fsm.persist.storage.save(fsm.persist.key, fsm.snapshot());
+		}
+		return;
+	}
+
+	/**
+	 * activeStates lists every active state, each active leaf along with all of its parents outermost first
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @return {array[string]} the active state ids
+	**/
+	function activeStates(fsm) {
+		return leaves(fsm).reduce(function(ids, leaf) {
+			return ids.concat(ancestry(fsm, leaf).reverse());
+		}, []);
+	}
+
+	//Array.prototype.push, for pushing one array onto another in place
+	var push = Array.prototype.push;
+
+	/**
+	 * load puts a machine into the state recorded in a snapshot, without calling any callbacks or actions.
+	 * 		States the machine no longer has are skipped, leaving it in its initial state for those.
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {object} snapshot - the (migrated) snapshot
+	 * @return {null} null
+	**/
+	function load(fsm, snapshot) {
+		var active = activeStates(fsm);
+		var lastActive = (snapshot.history || {}).lastActive || {};
+		Object.keys(lastActive).forEach(function(id) {
+			if(fsm.nodes[id] && fsm.nodes[lastActive[id]]) {
+				fsm.internalLastActive[id] = lastActive[id];
+			}
+		});
+		var history = snapshot.history || {};
+		push.apply(fsm.internalLog, (history.log || []).slice(-fsm.maxHistory));
+		push.apply(fsm.internalSteps, (history.steps || []).slice(-fsm.maxHistory));
+		fsm.internalCursor = Math.min(Math.max(0, (history.cursor || 0) - ((history.steps || []).length - fsm.internalSteps.length)), fsm.internalSteps.length);
+
+		if(fsm.regions.length === 0) {
+			if(fsm.nodes[snapshot.state]) {
+				fsm.internalState = descend(fsm, snapshot.state);
+			}
+		} else {
+			fsm.regions.forEach(function(region) {
+				var id = (snapshot.state || {})[region];
+				if(fsm.nodes[id] && regionOf(fsm, id) === region) {
+					fsm.internalState[region] = descend(fsm, id);
+				}
+			});
+		}
+		fsm.internalContext = Object.freeze(extend({}, snapshot.context));
+
+		//the timers of the states it started in make way for the ones of the states it is now in
+		stopTimers(fsm, active);
+		startTimers(fsm, activeStates(fsm));
+		return;
+	}
+
+	/**
+	 * transition runs a single transition for go: it checks it is allowed, waits on the leave callbacks of
+	 * 		the states being left (innermost first), moves the state, waits on the enter callbacks of the
+	 * 		states being entered (outermost first) and then triggers their on callbacks.  If a leave or
+	 * 		enter callback vetoes the machine is put back in the state it was leaving.
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {object} job - the {state, data, dfd} queued up by go, or by send along with the event and
+	 *                      the actions of its handler
+	 * @return {null} null
+	**/
+	function transition(fsm, job) {
+		var target = locate(fsm, job.state);
+		var from = target ? activeIn(fsm, target) : fsm.state();
+		var args = {
+			leavingState  : from,
+			enteringState : job.state,
+			data          : job.data,
+			event         : job.event || null
+		};
+
+		if(!target) {
+			refuse(fsm, job.dfd, args, unknown(job.state));
+			return;
+		}
+		if(target === from) {
+			job.dfd.resolve(args);
+			return;
+		}
+
+		var path = route(fsm, from, target);
+		args.enteringState = path.leaf;
+
+		var refused = refusal(fsm, args);
+		if(refused) {
+			refuse(fsm, job.dfd, args, refused);
+			return;
+		}
+
+		var context = fsm.internalContext;
+		sequence(callbacksFor(fsm, path.exits, "leave"), args).then(function() {
+			//exit actions, then the actions of a sent event, then entry actions, all between leaving and entering
+			path.exits.forEach(function(id) {
+				runActions(fsm, fsm.nodes[id].exit, args);
+			});
+			runActions(fsm, job.actions || [], args);
+			setActive(fsm, path.leaf);
+			path.entries.forEach(function(id) {
+				runActions(fsm, fsm.nodes[id].entry, args);
+			});
+			return sequence(callbacksFor(fsm, path.entries, "enter"), args);
+		}).then(function() {
+			//remember where we were in each state we left, for the ones with history
+			path.exits.forEach(function(id) {
+				if(fsm.nodes[id] && fsm.nodes[id].children.length > 0) {
+					fsm.internalLastActive[id] = from;
+				}
+			});
+			//the transition has happened whatever goes wrong from here on (a storage adapter that throws,
+			//data that won't serialise), so go resolves regardless and the queue moves on, while the error
+			//still rejects this then and gets reported as an unhandled rejection
+			try {
+				stopTimers(fsm, path.exits);
+				startTimers(fsm, path.entries);
+				trigger(args, callbacksFor(fsm, path.entries, "on"));
+				record(fsm, job, args);
+				persist(fsm);
+			} finally {
+				job.dfd.resolve(args);
+			}
+		}, function(error) {
+			//roll back, if we got as far as the enter callbacks we have already moved and run the actions
+			setActive(fsm, from);
+			fsm.internalContext = context;
+			refuse(fsm, job.dfd, args, {
+				reason  : "vetoed",
+				message : "Transition from \"" + from + "\" to \"" + job.state + "\" was vetoed",
+				error   : error
+			});
+		});
+		return;
+	}
+
+	/**
+	 * handlersFor finds the handlers for a sent event, looking in each active state and then its parents,
+	 * 		innermost first, for a handler of the event whose guard passes (or that has none).  With
+	 * 		parallel regions every region gets to handle the event, so there is one handler for each
+	 * 		region that has one, in region order.
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {object} job - the {event, data, dfd} queued up by send
+	 * @return {array || object} the {source, target, actions} of each handler, where source is the active
+	 *                           leaf state and target is null for a handler without one, or {reason,
+	 *                           message} if there isn't any
+	**/
+	function handlersFor(fsm, job) {
+		var guarded = false;
+		var found = [];
+		var active = leaves(fsm);
+		for(var i = 0; i < active.length; i++) {
+			var handler = null;
+			var path = ancestry(fsm, active[i]);
+			//the events of delayed transitions are only for the state that declared them
+			if(job.from) {
+				path = path.indexOf(job.from) !== -1 ? [job.from] : [];
+			}
+			for(var j = 0; j < path.length && !handler; j++) {
+				var handlers = fsm.nodes[path[j]].events[job.event] || [];
+				for(var k = 0; k < handlers.length && !handler; k++) {
+					var target = handlers[k].target ? resolve(fsm, handlers[k].target, path[j]) : null;
+					var args = {
+						leavingState  : active[i],
+						enteringState : target ? descend(fsm, target) : active[i],
+						data          : job.data,
+						event         : job.event
+					};
+					if(handlers[k].target && !target) {
+						return unknown(handlers[k].target);
+					}
+					//a guard that throws counts as a guard that said no, like it does for transitions
+					try {
+						if(typeof handlers[k].guard === "function" && !handlers[k].guard.call(null, args, fsm.internalContext)) {
+							guarded = true;
+							continue;
+						}
+					} catch(e) {
+						guarded = true;
+						continue;
+					}
+					handler = {source: active[i], target: target, actions: handlers[k].actions};
+				}
+			}
+			if(handler) {
+				found.push(handler);
+			}
+		}
+		if(found.length > 0) {
+			return found;
+		}
+		if(guarded) {
+			return {reason: "guard", message: "Guards refused the event \"" + job.event + "\""};
+		}
+		return {reason: "unhandledEvent", message: "No state handles the event \"" + job.event + "\""};
+	}
+
+	/**
+	 * runActions calls actions with the args of the transition and the context, the ones made by
+	 * 		State.assign hand back the next context which replaces the current one
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {array[function]} actions - the actions
+	 * @param {object} args - the args of the transition
+	 * @return {null} null
+	**/
+	function runActions(fsm, actions, args) {
+		for(var i = 0; i < actions.length; i++) {
+			var result = actions[i].call(null, args, fsm.internalContext);
+			if(actions[i].assigns) {
+				fsm.internalContext = result;
+			}
+		}
+		return;
+	}
+
+	/**
+	 * handle runs a sent event: it finds the handlers and runs each of them with handleOne, one region
+	 * 		after the other.  It resolves with the args of the first once they have all gone through, or
+	 * 		rejects with those of the first that is refused, leaving the regions before it where they got
+	 * 		to and not running the ones after it.  An event nothing handles is ignored, resolving with the
+	 * 		args plus the reason and message, unless the machine is strict in which case it is refused
+	 * 		like a transition would be.
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {object} job - the {event, data, dfd} queued up by send
+	 * @return {null} null
+	**/
+	function handle(fsm, job) {
+		var handler = handlersFor(fsm, job);
+		//a delayed transition whose state was left while it sat in the queue is just dropped, even when strict
+		if(job.from && !fsm.matches(job.from)) {
+			job.dfd.resolve({leavingState: fsm.state(), enteringState: fsm.state(), data: job.data, event: job.event});
+			return;
+		}
+		if(handler.reason) {
+			var args = {
+				leavingState  : fsm.state(),
+				enteringState : fsm.state(),
+				data          : job.data,
+				event         : job.event
+			};
+			if(fsm.strict) {
+				refuse(fsm, job.dfd, args, handler);
+			} else {
+				job.dfd.resolve(extend(args, handler));
+			}
+			return;
+		}
+		if(handler.length === 1) {
+			handleOne(fsm, job, handler[0]);
+			return;
+		}
+
+		var first;
+		var next = function(i) {
+			if(i === handler.length) {
+				job.dfd.resolve(first);
+				return;
+			}
+			var part = {event: job.event, data: job.data, dfd: jobDfd(), from: job.from};
+			part.dfd.then(function(args) {
+				first = first || args;
+				next(i + 1);
+			}, function(args) {
+				job.dfd.reject(args);
+			});
+			handleOne(fsm, part, handler[i]);
+		};
+		next(0);
+		return;
+	}
+
+	/**
+	 * handleOne runs a single handler of a sent event, either its transition like go would or, for a
+	 * 		handler without a target, just its actions without leaving the state
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {object} job - the {event, data, dfd} to run it as
+	 * @param {object} handler - the {source, target, actions} handlersFor found
+	 * @return {null} null
+	**/
+	function handleOne(fsm, job, handler) {
+		//a handler targeting the state the machine is already in just runs its actions, like go to it would do nothing
+		if(handler.target && handler.target !== handler.source) {
+			job.state = handler.target;
+			job.actions = handler.actions;
+			transition(fsm, job);
+			return;
+		}
+
+		var local = {
+			leavingState  : handler.source,
+			enteringState : handler.source,
+			data          : job.data,
+			event         : job.event
+		};
+		var context = fsm.internalContext;
+		try {
+			runActions(fsm, handler.actions, local);
+		} catch(e) {
+			fsm.internalContext = context;
+			refuse(fsm, job.dfd, local, {reason: "vetoed", message: "An action of the event \"" + job.event + "\" threw", error: e});
+			return;
+		}
+		persist(fsm);
+		job.dfd.resolve(local);
+		return;
+	}
+
+	/**
+	 * runQueue starts the next queued transition unless one is already running, so that concurrent
+	 * 		calls to go happen one after the other rather than interleaving
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @return {null} null
+	**/
+	function runQueue(fsm) {
+		if(fsm.internalBusy || fsm.internalQueue.length === 0) {
+			return;
+		}
+		var job = fsm.internalQueue.shift();
+		fsm.internalBusy = true;
+		job.dfd.always(function() {
+			fsm.internalBusy = false;
+			runQueue(fsm);
+		});
+		if(job.event) {
+			handle(fsm, job);
+		} else if(job.navigate) {
+			navigate(fsm, job);
+		} else {
+			transition(fsm, job);
+		}
+		return;
+	}
+
+	/**
+	 * guardName names a guard for the diagrams, by its function name
+	 * @function
+	 * @private to this closure
+	 * @param {function} guard - the guard
+	 * @return {string} the name, "guard" for anonymous ones and null if there is no guard
+	**/
+	function guardName(guard) {
+		return typeof guard === "function" ? guard.name || "guard" : null;
+	}
+
+	/**
+	 * edges lists every transition the machine declares for the diagrams, from the transition table (where
+	 * 		"*" stands for every top level state of the machine or region) and from the on and after of
+	 * 		the states
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @return {array[object]} {from, to, event, guard} with full state ids, event is null for transitions
+	 *                         from the transition table and guard is the guard's name or null
+	**/
+	function edges(fsm) {
+		var list = [];
+		fsm.transitions.forEach(function(transition) {
+			var scope = fsm.states.filter(function(id) {
+				return fsm.nodes[id].parent === transition.region && !fsm.nodes[id].region;
+			});
+			var expand = function(names) {
+				return names.indexOf("*") !== -1 ? scope : names.map(function(name) {
+					return resolve(fsm, name);
+				}).filter(Boolean);
+			};
+			expand(transition.from).forEach(function(from) {
+				expand(transition.to).forEach(function(to) {
+					if(from !== to) {
+						list.push({from: from, to: to, event: null, guard: guardName(transition.guard)});
+					}
+				});
+			});
+		});
+		fsm.states.forEach(function(id) {
+			var events = fsm.nodes[id].events;
+			Object.keys(events).forEach(function(event) {
+				events[event].forEach(function(handler) {
+					var to = handler.target ? resolve(fsm, handler.target, id) : null;
+					list.push({from: id, to: to, event: event, guard: guardName(handler.guard)});
+				});
+			});
+		});
+		return list;
+	}
+
+	/**
+	 * childrenOf lists the states directly under a state, or the top level states for null
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {string} id - the parent state id or null
+	 * @return {array[string]} the child state ids
+	**/
+	function childrenOf(fsm, id) {
+		return id ? fsm.nodes[id].children : fsm.states.filter(function(state) {
+			return fsm.nodes[state].parent === null;
+		});
+	}
+
+	/**
+	 * initialOf gets the state a parent state (or the machine, for null) starts in
+	 * @function
+	 * @private to this closure
+	 * @param {State} fsm - the state machine
+	 * @param {string} id - the parent state id or null
+	 * @return {string} the initial state id, null if there isn't one
+	**/
+	function initialOf(fsm, id) {
+		if(!id) {
+			return fsm.initial;
+		}
+		return fsm.nodes[id].children.length > 0 ? fsm.nodes[id].initial || fsm.nodes[id].children[0] : null;
+	}
+
+	/**
+	 * label puts the event and guard of an edge together like "EVENT [guard]"
+	 * @function
+	 * @private to this closure
+	 * @param {object} edge - the {event, guard} of the edge
+	 * @return {string} the label, empty if there is neither
+	**/
+	function label(edge) {
+		return [edge.event, edge.guard ? "[" + edge.guard + "]" : null].filter(Boolean).join(" ");
+	}
+
+	/**
+	 * escapeXML escapes text for XML attributes and content
+	 * @function
+	 * @private to this closure
+	 * @param {string} text - the text
+	 * @return {string} the escaped text
+	**/
+	function escapeXML(text) {
+		return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+	}
+
+	/**
+	 * parseXML is a small XML parser for fromSCXML, enough for SCXML documents without needing a DOM (so it
+	 * 		works under Node too).  Text content is dropped, which SCXML only uses for scripts and data.
+	 * @function
+	 * @private to this closure
+	 * @param {string} xml - the XML source
+	 * @return {object} the root element as {tag, attrs, children, line}
+	**/
+	function parseXML(xml) {
+		var root = {tag: null, attrs: {}, children: [], line: 1};
+		var stack = [root];
+		var token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE[^>]*>|<\/\s*([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+		var attr = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+		var unescape = function(text) {
+			return text.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+		};
+		var match;
+		while((match = token.exec(xml))) {
+			var line = xml.slice(0, match.index).split("\n").length;
+			if(match[1]) {
+				var open = stack.pop();
+				if(!open.tag) {
+					throw new State.DefinitionError("Unexpected </" + match[1] + "> on line " + line, {errors: [{path: "line " + line, message: "unexpected </" + match[1] + ">"}]});
+				}
+				//a close tag for some other element means the one that is open was never closed
+				if(open.tag !== match[1].replace(/^\w+:/, "")) {
+					throw new State.DefinitionError(describeElement(open) + " is not closed before </" + match[1] + "> on line " + line, {errors: [{path: describeElement(open), message: "not closed before </" + match[1] + "> on line " + line}]});
+				}
+			} else if(match[2]) {
+				var element = {tag: match[2].replace(/^\w+:/, ""), attrs: {}, children: [], line: line};
+				var found;
+				attr.lastIndex = 0;
+				while((found = attr.exec(match[3]))) {
+					element.attrs[found[1]] = unescape(found[2] !== undefined ? found[2] : found[3]);
+				}
+				stack[stack.length - 1].children.push(element);
+				if(!match[4]) {
+					stack.push(element);
+				}
+			}
+		}
+		if(stack.length > 1) {
+			throw new State.DefinitionError(describeElement(stack[stack.length - 1]) + " is never closed", {errors: [{path: describeElement(stack[stack.length - 1]), message: "never closed"}]});
+		}
+		if(root.children.length !== 1) {
+			throw new State.DefinitionError("The SCXML is not well formed", {errors: [{path: "document", message: "no root element, or more than one"}]});
+		}
+		return root.children[0];
+	}
+
+	/**
+	 * describeElement names an element for error messages, like <transition event="GO"> (line 12)
+	 * @function
+	 * @private to this closure
+	 * @param {object} element - the parsed element
+	 * @return {string} the description
+	**/
+	function describeElement(element) {
+		var attrs = ["id", "event", "target"].filter(function(name) {
+			return element.attrs[name] !== undefined;
+		}).map(function(name) {
+			return " " + name + "=\"" + element.attrs[name] + "\"";
+		});
+		return "<" + element.tag + attrs.join("") + "> (line " + element.line + ")";
+	}
+
+	/**
+	 * delayOf parses an SCXML delay like "500ms" or "2.5s" into ms
+	 * @function
+	 * @private to this closure
+	 * @param {string} delay - the delay
+	 * @return {int} the ms, NaN if it isn't one we understand
+	**/
+	function delayOf(delay) {
+		var match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m)?\s*$/.exec(delay || "");
+		if(!match) {
+			return NaN;
+		}
+		return Math.round(Number(match[1]) * ({ms: 1, s: 1000, m: 60000})[match[2] || "ms"]);
+	}
+
+	/**
+	 * Represents a State Object
+	 * @constructor
+	 * @param {object} options - an options argument that defines the state machine
+	 *                         both its initState as a string and an array of possible
+	 *                         states (see addStates for nested ones), and optionally
+	 *                         an array of transitions as {from, to, guard} (see addTransitions).
+	 *                         Instead of states it can declare parallel regions as
+	 *                         {regionName: {initState, states, transitions}}, each region
+	 *                         having its own active state.  Set strict to have send refuse
+	 *                         events that no active state handles instead of ignoring them.
+	 *                         context is the starting extended state (see State.assign) and
+	 *                         clock the {setTimeout, clearTimeout, now} that delayed transitions
+	 *                         use, _u_.Dfd.clock by default.  version is the version
+	 *                         written into snapshots and migrations maps a version to a
+	 *                         function upgrading a snapshot from the one before (see
+	 *                         State.restore), and persist is {storage, key} to save a
+	 *                         snapshot to a State.storage adapter after every transition.
+	 *                         maxHistory is how many transitions are kept for back, forward
+	 *                         and history, 100 by default.
+	 * @returns {deferred} the deferred instance object
+	**/
+	var State = function(options) {
+		options = options || {
+			initState : "new",
+			states    : ["new"]
+		}
+
+		//setup some instance parameters
+		this.internalState = options.initState;
+		this.states = [];
+		this.nodes = Object.create(null);
+		this.regions = [];
+		this.strict = !!options.strict;
+		this.internalContext = Object.freeze(extend({}, options.context));
+		this.clock = options.clock || null;
+		this.internalTimers = {};
+		this.internalEnteredAt = {};
+		this.version = options.version || 1;
+		this.persist = options.persist || null;
+		this.maxHistory = options.maxHistory || 100;
+		this.internalLog = [];
+		this.internalSteps = [];
+		this.internalCursor = 0;
+		this.initial = null;
+		this.transitions = [];
+		this.internalQueue = [];
+		this.internalBusy = false;
+		this.internalLastActive = {};
+		this.callbacks = {
+			all  : {
+				enter    : [],
+				leave    : [],
+				on       : [],
+				rejected : []
+			}
+		}
+
+		if(options.states) {
+			this.addStates(options.states);
+		}
+		this.addTransitions(options.transitions || []);
+
+		//each region is a top level state whose children are the region's states, and it keeps its own
+		//active state in internalState (which becomes a {region: state id} map) and its own transitions
+		Object.keys(options.regions || {}).forEach(function(name) {
+			var region = options.regions[name];
+			this.addStates({name: name, states: region.states, initial: region.initState});
+			this.nodes[name].region = true;
+			this.regions.push(name);
+			this.addTransitions((region.transitions || []).map(function(transition) {
+				return extend({region: name}, transition);
+			}));
+		}, this);
+
+		if(this.regions.length > 0) {
+			this.internalState = {};
+			this.regions.forEach(function(name) {
+				this.internalState[name] = descend(this, name);
+			}, this);
+		} else {
+			//starting in a parent state starts in its initial child
+			var initial = resolve(this, this.internalState);
+			if(initial) {
+				this.initial = initial;
+				this.internalState = descend(this, initial);
+			}
+		}
+
+		//the machine starts out having entered its active states, so their delayed transitions start now
+		startTimers(this, activeStates(this));
+
+		Object.defineProperties(this, {
+		  "internalState" : {enumerable:false, writable:true, configurable:false},
+		  "states"        : {enumerable:false, writable:false, configurable:false},
+		  "nodes"         : {enumerable:false, writable:false, configurable:false},
+		  "regions"       : {enumerable:false, writable:false, configurable:false},
+		  "strict"        : {enumerable:false, writable:false, configurable:false},
+		  "internalContext" : {enumerable:false, writable:true, configurable:false},
+		  "clock"         : {enumerable:false, writable:false, configurable:false},
+		  "internalTimers" : {enumerable:false, writable:false, configurable:false},
+		  "internalEnteredAt" : {enumerable:false, writable:false, configurable:false},
+		  "version"       : {enumerable:false, writable:false, configurable:false},
+		  "persist"       : {enumerable:false, writable:false, configurable:false},
+		  "maxHistory"    : {enumerable:false, writable:false, configurable:false},
+		  "internalLog"   : {enumerable:false, writable:false, configurable:false},
+		  "internalSteps" : {enumerable:false, writable:false, configurable:false},
+		  "internalCursor" : {enumerable:false, writable:true, configurable:false},
+		  "initial"       : {enumerable:false, writable:false, configurable:false},
+		  "transitions"   : {enumerable:false, writable:false, configurable:false},
+		  "internalQueue" : {enumerable:false, writable:false, configurable:false},
+		  "internalBusy"  : {enumerable:false, writable:true, configurable:false},
+		  "internalLastActive" : {enumerable:false, writable:false, configurable:false},
+		  "callbacks"     : {enumerable:false, writable:false, configurable:false},
+		});
+
+    //Freeze the this so that the functions cannot be changed/overridden nor modified
+		Object.seal(this);
+ 		//Freeze the prototype so that the functions cannot be changed/overridden nor modified
+		Object.freeze(State.prototype);
+		
+		return this;
+	}
+
+	//extend the State prototype with the functions that it needs.
+	//This is a performance/security tradeoff in tht these functions are 
+	//kinda exposed (even though we freeze them below), but they are on
+	//the prototype chain so tht you could extend this object and add things
+	//or overload some prototype methods
+	extend(State.prototype, {
+		toString: function() {
+			return "[object StateMachine]";
+		},
+
+		Promise: function(fsm, target) {
+			this.toString = function() {
+				return "[object StatePromise]";
+			}
+			//the view can only bind on and rejected callbacks, since enter and leave ones could veto
+			//transitions, and it can only unbind what it bound itself.  Each callback is bound wrapped
+			//so that the owner binding the same function keeps it when the view unbinds.
+			var bound = [];
+			var find = function(state) {
+				return state === "all" ? state : resolve(fsm, state);
+			};
+			var observe = function(method) {
+				return function(state, cbs, constraint) {
+					constraint = constraint || "on";
+					if(constraint !== "on" && constraint !== "rejected") {
+						return;
+					}
+					var wrappers = (sanitizeCbs(cbs) || []).map(function(cb) {
+						var binding = {state: find(state), constraint: constraint, callback: cb};
+						binding.wrapper = function(args) {
+							if(method === "once") {
+								bound.splice(bound.indexOf(binding), 1);
+							}
+							cb.call(null, args);
+						};
+						bound.push(binding);
+						return binding.wrapper;
+					});
+					fsm[method](state, wrappers, constraint);
+					return;
+				};
+			};
+			this.on                 = observe("on");
+			this.once               = observe("once");
+			this.off                = function(state, cbs, constraint) {
+				constraint = constraint || "on";
+				cbs = sanitizeCbs(cbs) || [];
+				var id = find(state);
+				bound.filter(function(binding) {
+					return binding.state === id && binding.constraint === constraint && cbs.indexOf(binding.callback) !== -1;
+				}).forEach(function(binding) {
+					bound.splice(bound.indexOf(binding), 1);
+					fsm.off(binding.state, binding.wrapper, constraint);
+				});
+				return;
+			};
+			this.waitFor            = fsm.waitFor.bind(fsm);
+			this.state              = fsm.state.bind(fsm);
+			this.getStates          = fsm.getStates.bind(fsm);
+			this.matches            = fsm.matches.bind(fsm);
+			this.can                = fsm.can.bind(fsm);
+			this.allowedTransitions = fsm.allowedTransitions.bind(fsm);
+			this.context            = fsm.context.bind(fsm);
+			this.timeInState        = fsm.timeInState.bind(fsm);
+			this.history            = fsm.history.bind(fsm);
+			this.snapshot           = fsm.snapshot.bind(fsm);
+			this.toDOT              = fsm.toDOT.bind(fsm);
+			this.toMermaid          = fsm.toMermaid.bind(fsm);
+			this.toSCXML            = fsm.toSCXML.bind(fsm);
+
+			//if target was passed in then return the 'promisified' target
+			//intead of a new promise object
+			if(target && {}.toString.call(target) === '[object Object]') {
+				extend(target, this);
+				return target;
+			}
+			return this;
+		},
+
+		/**
+		 * on binds callbacks to a state's events: "enter" and "leave" (which can hold up or veto the
+		 * 		transition, see go), "on" once it has gone through and "rejected" when a transition to it
+		 * 		doesn't happen.  "all" binds them for every state.
+		 * @function
+		 * @public on prototype
+		 * @param {string} state - the state, or "all"
+		 * @param {function || array[function]} cbs - a callback function or an array of callback functions
+		 * @param {string} constraint - enter, leave, on (the default) or rejected
+		 * @return {null} null
+		**/
+		on: function(state, cbs, constraint) {
+			constraint = constraint || "on";
+			state = state === "all" ? state : resolve(this, state);
+			cbs = sanitizeCbs(cbs);
+			if(cbs.length > 0) {
+				//quietly ignore states (or constraints) that the machine doesn't have rather than throwing
+				if(this.callbacks[state] && this.callbacks[state][constraint]) {
+					this.callbacks[state][constraint] = this.callbacks[state][constraint].concat(cbs);
+				}
+			}
+			return;
+		},
+
+		/**
+		 * off unbinds callbacks bound with on or once, or all of the state's callbacks for the constraint
+		 * 		if none are given
+		 * @function
+		 * @public on prototype
+		 * @param {string} state - the state, or "all"
+		 * @param {function || array[function]} cbs - optionally the callbacks to unbind
+		 * @param {string} constraint - enter, leave, on (the default) or rejected
+		 * @return {null} null
+		**/
+		off: function(state, cbs, constraint) {
+			constraint = constraint || "on";
+			state = state === "all" ? state : resolve(this, state);
+			if(!this.callbacks[state] || !this.callbacks[state][constraint]) {
+				return;
+			}
+			cbs = sanitizeCbs(cbs);
+			this.callbacks[state][constraint] = !cbs ? [] : this.callbacks[state][constraint].filter(function(cb) {
+				return cbs.indexOf(cb) === -1 && cbs.indexOf(cb.original) === -1;
+			});
+			return;
+		},
+
+		/**
+		 * once binds callbacks like on that unbind themselves after they have been called the first time
+		 * @function
+		 * @public on prototype
+		 * @param {string} state - the state, or "all"
+		 * @param {function || array[function]} cbs - a callback function or an array of callback functions
+		 * @param {string} constraint - enter, leave, on (the default) or rejected
+		 * @return {null} null
+		**/
+		once: function(state, cbs, constraint) {
+			var fsm = this;
+			cbs = sanitizeCbs(cbs) || [];
+			this.on(state, cbs.map(function(cb) {
+				var wrapper = function(args) {
+					fsm.off(state, wrapper, constraint);
+					return cb.call(null, args);
+				};
+				//so that off can find it by the callback it wraps
+				wrapper.original = cb;
+				return wrapper;
+			}), constraint);
+			return;
+		},
+
+		/**
+		 * waitFor waits for the next time the machine goes into a state (or one nested in it).  Cancelling the
+		 * 		promise unbinds it, so components can stop waiting when they go away.
+		 * @function
+		 * @public on prototype
+		 * @param {string} state - the state to wait for
+		 * @return {promise} Dfd promise resolved with the args of the transition into the state, rejected
+		 *                   straight away with the reason "unknownState" if the machine doesn't have it
+		**/
+		waitFor: function(state) {
+			var fsm = this;
+			var dfd = new (getDfd())();
+			var id = resolve(this, state);
+			if(!id) {
+				dfd.reject(extend({leavingState: this.state(), enteringState: state, data: {}, event: null}, unknown(state)));
+				return dfd.promise();
+			}
+			var arrived = function(args) {
+				dfd.resolve(args);
+			};
+			this.once(id, arrived);
+			dfd.onCancel(function() {
+				fsm.off(id, arrived);
+			});
+			return dfd.promise();
+		},
+
+		/**
+		 * connect puts the machine on a Fabric.  Every leave, enter and on of every state is published as
+		 * 		<urn>:<leave|enter|on>:<state> with the dots of nested states as colons (so app:wizard:enter:
+		 * 		editing:image, which wildcard subscriptions can pick apart) and the callback args plus the
+		 * 		state as the data.  It also subscribes to each {urn, go, send} in options.listen, wildcards
+		 * 		allowed, and calls go (or send) with the published data whenever a message comes in.  go and
+		 * 		send are a state or event name, or a function that picks one given the {data, matches}
+		 * 		message.  Only the states the machine has when it connects are published, and subscribers
+		 * 		can't veto anything, what they throw goes to _u_.Dfd.onCallbackError.
+		 * @function
+		 * @public on prototype
+		 * @param {Fabric} fabric - the fabric to connect to
+		 * @param {object} options - {urn, listen} the urn to publish under and the subscriptions to drive it
+		 * @return {object} {disconnect} to unbind and unsubscribe it all again
+		**/
+		connect: function(fabric, options) {
+			options = options || {};
+			var fsm = this;
+			var bound = [];
+			var subscriptions = [];
+
+			if(options.urn) {
+				this.states.forEach(function(id) {
+					["leave", "enter", "on"].forEach(function(constraint) {
+						var publish = function(args) {
+							//a subscriber that throws mustn't veto the transition, so its error goes the way
+							//errors in Dfd callbacks do instead
+							try {
+								fabric.publish({
+									urn  : options.urn + ":" + constraint + ":" + id.split(".").join(":"),
+									data : extend({state: id}, args)
+								});
+							} catch(e) {
+								var Dfd = getDfd();
+								if(Dfd && typeof Dfd.onCallbackError === "function") {
+									Dfd.onCallbackError(e);
+								}
+							}
+						};
+						fsm.on(id, publish, constraint);
+						bound.push({state: id, callback: publish, constraint: constraint});
+					});
+				});
+			}
+
+			(options.listen || []).forEach(function(listener) {
+				subscriptions.push(fabric.subscribe({
+					urn      : listener.urn,
+					callback : function(message) {
+						var pick = function(name) {
+							return typeof name === "function" ? name(message) : name;
+						};
+						if(listener.send) {
+							fsm.send(pick(listener.send), message.data);
+						} else {
+							fsm.go(pick(listener.go), message.data);
+						}
+					}
+				}));
+			});
+
+			return {
+				disconnect: function() {
+					bound.forEach(function(binding) {
+						fsm.off(binding.state, binding.callback, binding.constraint);
+					});
+					subscriptions.forEach(function(subscription) {
+						fabric.unsubscribe({urn: subscription.urn, key: subscription.key});
+					});
+					bound = [];
+					subscriptions = [];
+				}
+			};
+		},
+
+		/**
+		 * go moves the machine into the given state.  The leave callbacks of the states being left are
+		 * 		called one at a time, innermost first, then the state changes and the enter callbacks of the
+		 * 		states being entered are called the same way, outermost first, and finally the on callbacks
+		 * 		are triggered.  Going to a parent state enters its initial child, or the one it was last in
+		 * 		if it declares history.  A leave or enter callback can return
+		 * 		a Dfd promise to make the transition wait on it, or veto the transition by returning false,
+		 * 		throwing, rejecting or cancelling it, in which case the machine rolls back to the state it
+		 * 		was leaving.  Don't return go or send on the same machine from one though, that promise
+		 * 		waits on the very transition that is waiting on it and the machine never moves again.
+		 * 		Unknown states, transitions missing from the transition table, failing guards and vetoes
+		 * 		all trigger the "rejected" callbacks with the args plus a reason and message.  Calls made
+		 * 		while a transition is running are queued and run in order once it is done.
+		 * @function
+		 * @public on prototype
+		 * @param {string} state - the state to go to, its full id ("editing.image") or just its name
+		 *                        when that is unambiguous from where the machine is ("image")
+		 * @param {object} data - data to hand to the callbacks (and guards)
+		 * @return {promise} Dfd promise resolved with the args once the transition has committed, or
+		 *                   rejected with them (including reason "unknownState", "notAllowed", "guard"
+		 *                   or "vetoed") if it didn't happen
+		**/
+		go: function(state, data) {
+			var job = {
+				state : state,
+				data  : data || {},
+				dfd   : jobDfd()
+			};
+			this.internalQueue.push(job);
+			runQueue(this);
+			return job.dfd.promise();
+		},
+
+		/**
+		 * send sends an event to the machine, which looks for a handler of it in the "on" of its states (see
+		 * 		addStates) starting at the active state and working out through its parents.  The first
+		 * 		handler whose guard passes decides what happens: with a target it is a transition like go,
+		 * 		whose callbacks get the event along with the usual args and whose actions run between
+		 * 		leaving and entering, without one its actions just run.  With parallel regions every region
+		 * 		that handles the event does so, one after the other.  Events are queued with go calls.
+		 * @function
+		 * @public on prototype
+		 * @param {string} event - the name of the event
+		 * @param {object} payload - the data that goes with it, handed to guards, actions and callbacks as data
+		 * @return {promise} Dfd promise resolved with the args (of the first region to handle it) once the
+		 *                   event has been handled (or ignored, then they include the reason
+		 *                   "unhandledEvent" or "guard" and a message), or
+		 *                   rejected like go when the transition doesn't happen or the machine is strict
+		 *                   and nothing handled the event
+		**/
+		send: function(event, payload) {
+			var job = {
+				event : event,
+				data  : payload || {},
+				dfd   : jobDfd()
+			};
+			this.internalQueue.push(job);
+			runQueue(this);
+			return job.dfd.promise();
+		},
+
+		/**
+		 * back undoes the last transition by going back to the state it left.  It is a normal transition, so
+		 * 		the leave/enter/on callbacks fire, guards apply and it is queued like go.  Going back and
+		 * 		then making any other transition drops the steps that could have been gone forward to.
+		 * @function
+		 * @public on prototype
+		 * @return {promise} Dfd promise like go's, rejected with the reason "noHistory" if there is nothing
+		 *                   to go back to
+		**/
+		back: function() {
+			var job = {
+				navigate : "back",
+				dfd      : jobDfd()
+			};
+			this.internalQueue.push(job);
+			runQueue(this);
+			return job.dfd.promise();
+		},
+
+		/**
+		 * forward redoes the last transition that back undid, see back
+		 * @function
+		 * @public on prototype
+		 * @return {promise} Dfd promise like go's, rejected with the reason "noHistory" if there is nothing
+		 *                   to go forward to
+		**/
+		forward: function() {
+			var job = {
+				navigate : "forward",
+				dfd      : jobDfd()
+			};
+			this.internalQueue.push(job);
+			runQueue(this);
+			return job.dfd.promise();
+		},
+
+		/**
+		 * history gives the audit log of the last maxHistory transitions, including the ones made by back and
+		 * 		forward (which say so in navigate)
+		 * @function
+		 * @public on prototype
+		 * @return {array[object]} copies of the {from, to, data, event, timestamp} entries, oldest first
+		**/
+		history: function() {
+			return this.internalLog.map(function(entry) {
+				return extend({}, entry);
+			});
+		},
+
+		/**
+		 * can checks whether go(state, data) would be allowed right now, for enabling/disabling UI controls
+		 * @function
+		 * @public on prototype
+		 * @param {string} state - the state to check
+		 * @param {object} data - the data the guards would be called with
+		 * @return {bool} true if the machine could go to the state
+		**/
+		can: function(state, data) {
+			var target = locate(this, state);
+			if(!target || target === activeIn(this, target)) {
+				return false;
+			}
+			return !refusal(this, {leavingState: activeIn(this, target), enteringState: descend(this, target), data: data || {}});
+		},
+
+		/**
+		 * allowedTransitions lists every state that the machine could go to right now
+		 * @function
+		 * @public on prototype
+		 * @param {object} data - the data the guards would be called with
+		 * @return {array[string]} the states that can be gone to
+		**/
+		allowedTransitions: function(data) {
+			return this.states.filter(function(state) {
+				return !this.nodes[state].region && this.can(state, data);
+			}, this);
+		},
+
+		/**
+		 * addTransitions declares which state changes are allowed.  Each transition is {from, to, guard}
+		 * 		where from and to are a state name, an array of them or "*" (from may be left out for any),
+		 * 		a parent state standing for all of the states nested in it, and guard is an optional function called with the {leavingState, enteringState, data} args
+		 * 		which must return truthy for the transition to go ahead.  Once a machine has transitions
+		 * 		go will only follow those.  A transition with a region only applies to that parallel region,
+		 * 		regions with none of their own can go from any of their states to any other.
+		 * @function
+		 * @public on prototype
+		 * @param {object || array[object]} transitions - a transition or an array of transitions
+		 * @return {null} null
+		**/
+		addTransitions: function(transitions) {
+			toList(transitions).forEach(function(transition) {
+				this.transitions.push({
+					from   : toList(transition.from),
+					to     : toList(transition.to),
+					guard  : transition.guard,
+					region : transition.region || null
+				});
+			}, this);
+			return;
+		},
+
+		/**
+		 * addStates adds states to the machine.  A state is either a name or {name, states, initial, history, on,
+		 * 		entry, exit, after}
+		 * 		where states are its nested child states (in the same format), initial names the child that
+		 * 		is entered when the state is (the first one by default) and history is "shallow" or "deep"
+		 * 		to resume the child, or the exact nested state, that the machine was last in instead.
+		 * 		on maps the events it handles (see send) to a target state, a {target, guard, actions}
+		 * 		handler or an array of handlers tried in order, and entry and exit are actions run whenever
+		 * 		the state is entered or left.  after maps delays in ms to handlers like on, which fire
+		 * 		that long after the state was entered unless it has been left by then.  Guards and actions are called with the args of the transition
+		 * 		and the context (see State.assign).  Nested states get dotted ids, "editing" with a child "image" is
+		 * 		"editing.image".
+		 * @function
+		 * @public on prototype
+		 * @param {string || object || array} states - a state or an array of states
+		 * @param {string} parent - optionally the id of the state to add them under
+		 * @return {null} null
+		**/
+		addStates: function(states, parent) {
+			if({}.toString.call(states) !== '[object Array]') {
+				states = [states];
+			}
+			parent = parent ? resolve(this, parent) : null;
+			states.forEach(function(state) {
+				var config = typeof state === "object" ? state : {name: state};
+				var id = parent ? parent + "." + config.name : config.name;
+				if(this.states.indexOf(id) === -1) {
+					this.states.push(id);
+					this.nodes[id] = {id: id, name: config.name, parent: parent, children: [], initial: null, history: false, events: Object.create(null), entry: [], exit: [], after: []};
+					if(parent) {
+						this.nodes[parent].children.push(id);
+					}
+				}
+				if(config.initial) {
+					this.nodes[id].initial = id + "." + config.initial;
+				}
+				if(config.history) {
+					this.nodes[id].history = config.history === "deep" ? "deep" : "shallow";
+				}
+				if(config.entry) {
+					this.nodes[id].entry = this.nodes[id].entry.concat(sanitizeCbs(config.entry));
+				}
+				if(config.exit) {
+					this.nodes[id].exit = this.nodes[id].exit.concat(sanitizeCbs(config.exit));
+				}
+				Object.keys(config.on || {}).forEach(function(event) {
+					this.nodes[id].events[event] = toHandlers(config.on[event]);
+				}, this);
+				//delayed transitions are handled as "after:<ms>" events that the state's timers send
+				Object.keys(config.after || {}).forEach(function(delay) {
+					if(this.nodes[id].after.indexOf(Number(delay)) === -1) {
+						this.nodes[id].after.push(Number(delay));
+					}
+					this.nodes[id].events["after:" + Number(delay)] = toHandlers(config.after[delay]);
+				}, this);
+				this.callbacks[id] = this.callbacks[id] || {enter: [], leave: [], on: [], rejected: []};
+				if(config.states) {
+					this.addStates(config.states, id);
+				}
+			}, this);
+			return;
+		},
+
+		/**
+		 * removeStates removes states from the machine, along with any states nested in them
+		 * @function
+		 * @public on prototype
+		 * @param {string || array[string]} states - a state or an array of states
+		 * @return {null} null
+		**/
+		removeStates: function(states) {
+			if({}.toString.call(states) !== '[object Array]') {
+				states = [states];
+			};
+			states = states.map(function(state) {
+				return resolve(this, state);
+			}, this);
+
+			//walk backwards so that splicing doesn't shift the states we have yet to look at
+			for(var i = this.states.length - 1; i >= 0; i--) {
+				var node = this.nodes[this.states[i]];
+				if(ancestry(this, node.id).some(function(id) { return states.indexOf(id) !== -1; })) {
+					if(this.nodes[node.parent]) {
+						this.nodes[node.parent].children.splice(this.nodes[node.parent].children.indexOf(node.id), 1);
+					}
+					delete this.callbacks[node.id];
+					delete this.internalLastActive[node.id];
+					this.states.splice(i, 1);
+				}
+			};
+			//and forget the nodes once we no longer need them to work out the ancestry
+			Object.keys(this.nodes).forEach(function(id) {
+				if(this.states.indexOf(id) === -1) {
+					delete this.nodes[id];
+				}
+			}, this);
+			return;
+		},
+
+		getStates: function() {
+			return this.states;
+		},
+
+		/**
+		 * getter for the internalState property, the full id of the active state, so for nested states
+		 * 		it is the whole path, e.g. "editing.image".  A machine with parallel regions returns the
+		 * 		combined configuration instead, the active state of each region relative to the region,
+		 * 		e.g. {connection: "online", mode: "edit.text"}.  Pass {context: true} to get a frozen
+		 * 		{value, context} snapshot of the state along with the context instead.
+		 * @function
+		 * @public on prototype
+		 * @param {object} options - optionally {context: true}
+		 * @return {string || object} internalState
+		**/
+		state: function(options) {
+			var value = this.internalState;
+			if(this.regions.length > 0) {
+				value = {};
+				this.regions.forEach(function(region) {
+					value[region] = this.internalState[region].slice(region.length + 1);
+				}, this);
+			}
+			if(options && options.context) {
+				return Object.freeze({
+					value   : typeof value === "object" ? Object.freeze(value) : value,
+					context : this.internalContext
+				});
+			}
+			return value;
+		},
+
+		/**
+		 * toDOT draws the machine as a Graphviz digraph.  Parent states are clusters, each with a start point
+		 * 		into their initial state like the machine has, the active states are filled in and edges are
+		 * 		labelled with their event and [guard].
+		 * @function
+		 * @public on prototype
+		 * @return {string} the DOT source
+		**/
+		toDOT: function() {
+			var fsm = this;
+			var active = leaves(this);
+			var quote = function(text) {
+				return "\"" + String(text).replace(/\\/g, "\\\\").replace(/"/g, "\\\"") + "\"";
+			};
+			//edges can't end on a cluster, so they end on its initial leaf and are clipped to the cluster
+			var endpoint = function(id) {
+				while(fsm.nodes[id].children.length > 0) {
+					id = initialOf(fsm, id);
+				}
+				return id;
+			};
+			var lines = ["digraph " + quote("State") + " {", "\tcompound=true;", "\tnode [shape=box, style=rounded];"];
+
+			var draw = function(parent, indent) {
+				var start = quote((parent || "") + "__start");
+				if(initialOf(fsm, parent)) {
+					lines.push(indent + start + " [shape=point];");
+					lines.push(indent + start + " -> " + quote(endpoint(initialOf(fsm, parent))) +
+						(fsm.nodes[initialOf(fsm, parent)].children.length > 0 ? " [lhead=" + quote("cluster_" + initialOf(fsm, parent)) + "]" : "") + ";");
+				}
+				childrenOf(fsm, parent).forEach(function(id) {
+					if(fsm.nodes[id].children.length > 0) {
+						lines.push(indent + "subgraph " + quote("cluster_" + id) + " {");
+						lines.push(indent + "\tlabel=" + quote(fsm.nodes[id].name + (fsm.nodes[id].region ? " (region)" : "")) + ";");
+						draw(id, indent + "\t");
+						lines.push(indent + "}");
+					} else {
+						lines.push(indent + quote(id) + " [label=" + quote(fsm.nodes[id].name) +
+							(active.indexOf(id) !== -1 ? ", style=\"rounded,filled,bold\", fillcolor=lightblue" : "") + "];");
+					}
+				});
+			};
+			draw(null, "\t");
+
+			edges(this).forEach(function(edge) {
+				var attrs = [];
+				var to = edge.to || edge.from;
+				if(label(edge)) {
+					attrs.push("label=" + quote(label(edge)));
+				}
+				if(fsm.nodes[edge.from].children.length > 0) {
+					attrs.push("ltail=" + quote("cluster_" + edge.from));
+				}
+				if(fsm.nodes[to].children.length > 0) {
+					attrs.push("lhead=" + quote("cluster_" + to));
+				}
+				lines.push("\t" + quote(endpoint(edge.from)) + " -> " + quote(endpoint(to)) + (attrs.length ? " [" + attrs.join(", ") + "]" : "") + ";");
+			});
+			lines.push("}");
+			return lines.join("\n");
+		},
+
+		/**
+		 * toMermaid draws the machine as a Mermaid stateDiagram-v2.  Parent states are composite states,
+		 * 		parallel regions the concurrent parts of a "regions" composite state, the active states
+		 * 		get the "current" class and edges are labelled with their event and [guard].
+		 * @function
+		 * @public on prototype
+		 * @return {string} the Mermaid source
+		**/
+		toMermaid: function() {
+			var fsm = this;
+			var active = leaves(this);
+			var key = function(id) {
+				return id.replace(/[^\w]/g, "_");
+			};
+			//mermaid wants an edge inside the composite state that holds both of its ends
+			var holder = function(edge) {
+				var to = ancestry(fsm, edge.to || edge.from);
+				return ancestry(fsm, edge.from).slice(1).filter(function(id) {
+					return to.indexOf(id) > 0;
+				})[0] || null;
+			};
+			var list = edges(this);
+			var lines = ["stateDiagram-v2"];
+
+			var draw = function(parent, indent) {
+				if(initialOf(fsm, parent)) {
+					lines.push(indent + "[*] --> " + key(initialOf(fsm, parent)));
+				}
+				childrenOf(fsm, parent).forEach(function(id) {
+					state(id, indent);
+				});
+				arrows(parent, indent);
+			};
+			var arrows = function(parent, indent) {
+				list.filter(function(edge) {
+					return holder(edge) === parent;
+				}).forEach(function(edge) {
+					lines.push(indent + key(edge.from) + " --> " + key(edge.to || edge.from) + (label(edge) ? " : " + label(edge) : ""));
+				});
+			};
+			var state = function(id, indent) {
+				lines.push(indent + "state \"" + fsm.nodes[id].name + "\" as " + key(id) + (fsm.nodes[id].children.length > 0 ? " {" : ""));
+				if(fsm.nodes[id].children.length > 0) {
+					draw(id, indent + "\t");
+					lines.push(indent + "}");
+				}
+			};
+			if(this.regions.length > 0) {
+				//parallel regions are the concurrent parts, split by --, of one composite state
+				lines.push("\t[*] --> regions");
+				lines.push("\tstate \"regions\" as regions {");
+				this.regions.forEach(function(region, i) {
+					if(i > 0) {
+						lines.push("\t\t--");
+					}
+					state(region, "\t\t");
+				});
+				lines.push("\t}");
+				arrows(null, "\t");
+			} else {
+				draw(null, "\t");
+			}
+
+			lines.push("\tclassDef current fill:#bde,stroke:#333,stroke-width:2px");
+			active.filter(function(id) { return fsm.nodes[id]; }).forEach(function(id) {
+				lines.push("\tclass " + key(id) + " current");
+			});
+			return lines.join("\n");
+		},
+
+		/**
+		 * toSCXML writes the machine as an SCXML document.  Parent states get their initial and history,
+		 * 		parallel regions become a <parallel>, events and guards become the event and cond of the
+		 * 		transitions, delayed transitions a delayed <send> on entry, and the transition table becomes
+		 * 		transitions on the "go" event.  SCXML has nowhere to say what state a machine is in, so the
+		 * 		active states go in a comment.
+		 * @function
+		 * @public on prototype
+		 * @return {string} the SCXML source
+		**/
+		toSCXML: function() {
+			var fsm = this;
+			var list = edges(this);
+			var attr = function(name, value) {
+				return value === null || value === undefined ? "" : " " + name + "=\"" + escapeXML(value) + "\"";
+			};
+			var lines = [
+				"<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+				"<scxml xmlns=\"http://www.w3.org/2005/07/scxml\" version=\"1.0\"" + attr("initial", this.initial) + ">",
+				"\t<!-- active: " + escapeXML(leaves(this).join(", ")).replace(/--/g, "- -") + " -->",
+				"\t<!-- transitions on the \"go\" event are the ones go() is allowed to make -->"
+			];
+
+			var draw = function(id, indent) {
+				var node = fsm.nodes[id];
+				var opened = lines.length;
+				lines.push(indent + "<state" + attr("id", id) + attr("initial", node.children.length > 0 ? initialOf(fsm, id) : null) + ">");
+				if(node.history) {
+					lines.push(indent + "\t<history" + attr("id", id + ".history") + attr("type", node.history) + ">");
+					lines.push(indent + "\t\t<transition" + attr("target", initialOf(fsm, id)) + "/>");
+					lines.push(indent + "\t</history>");
+				}
+				if(node.after.length > 0) {
+					lines.push(indent + "\t<onentry>");
+					node.after.forEach(function(delay) {
+						lines.push(indent + "\t\t<send" + attr("event", "after:" + delay) + attr("delay", delay + "ms") + "/>");
+					});
+					lines.push(indent + "\t</onentry>");
+				}
+				list.filter(function(edge) {
+					return edge.from === id;
+				}).forEach(function(edge) {
+					lines.push(indent + "\t<transition" + attr("event", edge.event || "go") + attr("cond", edge.guard) + attr("target", edge.to) + "/>");
+				});
+				node.children.forEach(function(child) {
+					draw(child, indent + "\t");
+				});
+				//states with nothing in them close themselves
+				if(lines.length === opened + 1) {
+					lines[opened] = lines[opened].replace(/>$/, "/>");
+				} else {
+					lines.push(indent + "</state>");
+				}
+			};
+
+			if(this.regions.length > 0) {
+				lines.push("\t<parallel id=\"regions\">");
+				this.regions.forEach(function(region) {
+					draw(region, "\t\t");
+				});
+				lines.push("\t</parallel>");
+			} else {
+				childrenOf(this, null).forEach(function(id) {
+					draw(id, "\t");
+				});
+			}
+			lines.push("</scxml>");
+			return lines.join("\n");
+		},
+
+		/**
+		 * snapshot records where the machine is as plain data for State.restore, which is JSON-serialisable
+		 * 		as long as the context and the data go, send and the events were given are
+		 * @function
+		 * @public on prototype
+		 * @return {object} {version, state, context, history} where state is the active state id (or the
+		 *                  {region: state id} map) and history has the lastActive state of every parent
+		 *                  that has been left, for their history, along with the log, steps and cursor
+		 *                  of the transition history
+		**/
+		snapshot: function() {
+			return {
+				version : this.version,
+				state   : typeof this.internalState === "object" ? extend({}, this.internalState) : this.internalState,
+				context : extend({}, this.internalContext),
+				history : {
+					lastActive : extend({}, this.internalLastActive),
+					log        : this.history(),
+					steps      : this.internalSteps.map(function(entry) { return extend({}, entry); }),
+					cursor     : this.internalCursor
+				}
+			};
+		},
+
+		/**
+		 * timeInState measures how long the machine has been in a state, going by the clock
+		 * @function
+		 * @public on prototype
+		 * @param {string} state - optionally the state, or parent state, to measure, by default the active
+		 *                       state (of the first region for machines with parallel regions)
+		 * @return {int} the ms since the state was entered, null if the machine isn't in it
+		**/
+		timeInState: function(state) {
+			var id = state ? resolve(this, state) : leaves(this)[0];
+			if(!(id in this.internalEnteredAt)) {
+				return null;
+			}
+			return clockOf(this).now() - this.internalEnteredAt[id];
+		},
+
+		/**
+		 * context gets the extended state of the machine, which is frozen, State.assign actions replace
+		 * 		it with a new one rather than changing it
+		 * @function
+		 * @public on prototype
+		 * @return {object} the context
+		**/
+		context: function() {
+			return this.internalContext;
+		},
+
+		/**
+		 * matches checks whether the machine is in a state, counting the parent states of the active state
+		 * 		as being in them too.  For machines with parallel regions it can take {region: state} to
+		 * 		check several regions at once, every one of which has to match.
+		 * @function
+		 * @public on prototype
+		 * @param {string || object} query - a state name or id, or a {region: state} map
+		 * @return {bool} true if the machine is in the state(s)
+		**/
+		matches: function(query) {
+			if(typeof query === "string") {
+				var id = resolve(this, query);
+				return leaves(this).some(function(leaf) {
+					return ancestry(this, leaf).indexOf(id) !== -1;
+				}, this);
+			}
+			return Object.keys(query || {}).every(function(region) {
+				var id = resolve(this, region + "." + query[region]);
+				return this.regions.indexOf(region) !== -1 && ancestry(this, this.internalState[region]).indexOf(id) !== -1;
+			}, this);
+		},
+
+		/**
+		 * setter for the internalState property
+		 * @function
+		 * @public on prototype
+		 * @param {int} newState - state int, 0 is pending, 1 is resolved, 2 is rejected
+		 * @return {int} internalState integer
+		**/
+		setState: function(newState) {
+			if(this.states.indexOf(newState) !== -1) {
+				setActive(this, newState);
+			}
+			return this.state();
+		},
+
+		/**
+		 * getter for the machine's read only view, which can observe it (on, off, once, waitFor and
+		 * 		the queries) but can't move it (no go, send, back or forward).  That is what should be
+		 * 		handed to components that only need to follow along.  Its on and once only bind "on" and
+		 * 		"rejected" callbacks so it can't veto anything, and its off needs the callbacks to unbind
+		 * 		and only unbinds ones the view bound.
+		 * @function
+		 * @public on prototype
+		 * @param {object} target - optionally an object to add the view's functions to instead
+		 * @return {StatePromise} the view
+		**/
+		promise: function(target) {
+			var pro = new this.Promise(this, target);
+			return pro;
+		},
+	});
+	
+	/**
+	 * assign makes an action that updates the context.  The updater is either a function called with the
+	 * 		context and the args of the transition that returns the properties to change, or an object of
+	 * 		the properties to change whose values can be functions called the same way.  The context is
+	 * 		never changed in place, the machine gets a new frozen one with the changes applied.
+	 * @function
+	 * @public static on State
+	 * @param {function || object} updater - what to change in the context
+	 * @return {function} the action, to use in actions, entry or exit
+	**/
+	State.assign = function(updater) {
+		var action = function(args, context) {
+			var changes = updater;
+			if(typeof updater === "function") {
+				changes = updater(context, args);
+			} else {
+				changes = {};
+				Object.keys(updater).forEach(function(key) {
+					changes[key] = typeof updater[key] === "function" ? updater[key](context, args) : updater[key];
+				});
+			}
+			return Object.freeze(extend(extend({}, context), changes));
+		};
+		action.assigns = true;
+		return action;
+	};
+
+	/**
+	 * restore rebuilds a machine from its config and a snapshot, putting it straight into the recorded
+	 * 		state without calling enter callbacks or entry actions.  A snapshot from an older version is
+	 * 		run through config.migrations first, each one taking the snapshot from the version before
+	 * 		it.  Without a snapshot it is loaded from the config's persist storage, if there is one
+	 * 		saved there, so State.restore(config) picks up where a persisted machine left off.
+	 * @function
+	 * @public static on State
+	 * @param {object} config - the options the machine was made with
+	 * @param {object} snapshot - optionally what snapshot() gave
+	 * @return {State} the restored machine
+	**/
+	State.restore = function(config, snapshot) {
+		var fsm = new State(config);
+		if(!snapshot && fsm.persist) {
+			snapshot = fsm.persist.storage.load(fsm.persist.key);
+		}
+		if(!snapshot) {
+			return fsm;
+		}
+
+		var migrations = config.migrations || {};
+		snapshot = extend({}, snapshot);
+		for(var version = (snapshot.version || 1) + 1; version <= fsm.version; version++) {
+			if(typeof migrations[version] === "function") {
+				snapshot = migrations[version](snapshot);
+			}
+			snapshot.version = version;
+		}
+		load(fsm, snapshot);
+		return fsm;
+	};
+
+	/**
+	 * storage holds the adapters machines can persist their snapshots to, each is {load, save, remove} by key
+	 * @public static on State
+	**/
+	State.storage = {
+		/**
+		 * memory keeps snapshots in an object, for tests or to hand machines over within a page
+		 * @function
+		 * @return {object} the storage adapter
+		**/
+		memory: function() {
+			var saved = {};
+			return {
+				load: function(key) {
+					return saved[key] ? JSON.parse(saved[key]) : null;
+				},
+				save: function(key, snapshot) {
+					saved[key] = JSON.stringify(snapshot);
+				},
+				remove: function(key) {
+					delete saved[key];
+				}
+			};
+		},
+
+		/**
+		 * local keeps snapshots in localStorage, or another Web Storage object like sessionStorage
+		 * @function
+		 * @param {Storage} storage - optionally the Web Storage to use, localStorage by default
+		 * @return {object} the storage adapter
+		**/
+		local: function(storage) {
+			storage = storage || localStorage;
+			return {
+				load: function(key) {
+					var saved = storage.getItem(key);
+					return saved ? JSON.parse(saved) : null;
+				},
+				save: function(key, snapshot) {
+					storage.setItem(key, JSON.stringify(snapshot));
+				},
+				remove: function(key) {
+					storage.removeItem(key);
+				}
+			};
+		},
+
+		/**
+		 * file keeps snapshots as <key>.json files in a directory, for Node.  fs is handed in rather than
+		 * 		required here so that bundling this file for the browser doesn't go looking for it.
+		 * @function
+		 * @param {string} dir - the directory to keep them in, it has to exist
+		 * @param {object} fs - Node's fs module (or anything with its existsSync, readFileSync,
+		 *                    writeFileSync and unlinkSync)
+		 * @return {object} the storage adapter
+		**/
+		file: function(dir, fs) {
+			var pathOf = function(key) {
+				return dir + "/" + encodeURIComponent(key) + ".json";
+			};
+			return {
+				load: function(key) {
+					return fs.existsSync(pathOf(key)) ? JSON.parse(fs.readFileSync(pathOf(key), "utf8")) : null;
+				},
+				save: function(key, snapshot) {
+					fs.writeFileSync(pathOf(key), JSON.stringify(snapshot));
+				},
+				remove: function(key) {
+					if(fs.existsSync(pathOf(key))) {
+						fs.unlinkSync(pathOf(key));
+					}
+				}
+			};
+		}
+	};
+
+	/**
+	 * DefinitionError is thrown by fromJSON and fromSCXML for definitions they can't load.  errors lists
+	 * 		each problem as {path, message} and unsupported the SCXML features that aren't supported.
+	 * @constructor
+	 * @public static on State
+	 * @param {string} message - what went wrong
+	 * @param {object} props - the errors and unsupported lists
+	**/
+	State.DefinitionError = function(message, props) {
+		this.name = "DefinitionError";
+		this.message = message || "";
+		this.stack = (new Error(this.message)).stack;
+		this.errors = [];
+		this.unsupported = [];
+		extend(this, props || {});
+	};
+	State.DefinitionError.prototype = Object.create(Error.prototype);
+	State.DefinitionError.prototype.constructor = State.DefinitionError;
+	State.DefinitionError.prototype.name = "DefinitionError";
+
+	/**
+	 * fromJSON builds a machine from a definition that is plain JSON, so it can be written outside
+	 * 		JavaScript and shared.  It takes the same shape as the constructor's options except that
+	 * 		guards and actions are names looked up in options.guards and options.actions, and an action
+	 * 		can also be {assign: {...}} for a State.assign of fixed values.  initial is accepted for
+	 * 		initState.  Every problem found is reported together in a State.DefinitionError.
+	 * @function
+	 * @public static on State
+	 * @param {object} def - the definition
+	 * @param {object} options - optionally {guards, actions} mapping names to functions
+	 * @return {State} the machine
+	**/
+	State.fromJSON = function(def, options) {
+		options = options || {};
+		var guards = options.guards || {};
+		var actions = options.actions || {};
+		var errors = [];
+		var fail = function(path, message) {
+			errors.push({path: path, message: message});
+		};
+		var isObject = function(x) {
+			return x !== null && typeof x === "object" && {}.toString.call(x) !== '[object Array]';
+		};
+
+		var guard = function(name, path) {
+			if(name === undefined || name === null) {
+				return undefined;
+			}
+			if(typeof guards[name] !== "function") {
+				fail(path, "unknown guard \"" + name + "\"");
+			}
+			return guards[name];
+		};
+		var actionList = function(list, path) {
+			return toList(list).map(function(action, i) {
+				if(isObject(action) && isObject(action.assign)) {
+					return State.assign(action.assign);
+				}
+				if(typeof actions[action] !== "function") {
+					fail(path + "[" + i + "]", "unknown action " + JSON.stringify(action));
+				}
+				return actions[action];
+			});
+		};
+		var handlers = function(list, path) {
+			return toList(list).map(function(handler, i) {
+				var at = path + "[" + i + "]";
+				if(typeof handler === "string") {
+					return handler;
+				}
+				if(!isObject(handler) || (handler.target !== undefined && typeof handler.target !== "string")) {
+					fail(at, "a handler must be a target state name or {target, guard, actions}");
+					return {};
+				}
+				return {
+					target  : handler.target,
+					guard   : guard(handler.guard, at + ".guard"),
+					actions : handler.actions ? actionList(handler.actions, at + ".actions") : undefined
+				};
+			});
+		};
+		var states = function(list, path) {
+			var names = [];
+			return toList(list).map(function(state, i) {
+				var at = path + "[" + i + "]";
+				var config = typeof state === "string" ? {name: state} : state;
+				if(!isObject(config) || typeof config.name !== "string" || config.name === "") {
+					fail(at, "a state must be a name or an object with a name");
+					return null;
+				}
+				at = path + "[" + i + "] (\"" + config.name + "\")";
+				if(config.name.indexOf(".") !== -1 || config.name === "*" || config.name === "all") {
+					fail(at, "\"" + config.name + "\" can't be used as a state name");
+				}
+				if(names.indexOf(config.name) !== -1) {
+					fail(at, "there is already a state named \"" + config.name + "\" here");
+				}
+				names.push(config.name);
+				var result = {name: config.name};
+				if(config.states) {
+					result.states = states(config.states, at + ".states");
+					if(config.initial !== undefined && toList(config.states).map(function(child) {
+						return typeof child === "string" ? child : (child || {}).name;
+					}).indexOf(config.initial) === -1) {
+						fail(at + ".initial", "\"" + config.initial + "\" is not one of its states");
+					}
+					result.initial = config.initial;
+				} else if(config.initial !== undefined) {
+					fail(at + ".initial", "a state without states can't have an initial state");
+				}
+				if(config.history !== undefined) {
+					if(config.history !== "shallow" && config.history !== "deep") {
+						fail(at + ".history", "history must be \"shallow\" or \"deep\"");
+					}
+					result.history = config.history;
+				}
+				if(config.on !== undefined) {
+					result.on = {};
+					Object.keys(isObject(config.on) ? config.on : {}).forEach(function(event) {
+						result.on[event] = handlers(config.on[event], at + ".on." + event);
+					});
+				}
+				if(config.after !== undefined) {
+					result.after = {};
+					Object.keys(isObject(config.after) ? config.after : {}).forEach(function(delay) {
+						if(!(Number(delay) >= 0)) {
+							fail(at + ".after." + delay, "delays must be a number of ms");
+						}
+						result.after[delay] = handlers(config.after[delay], at + ".after." + delay);
+					});
+				}
+				["entry", "exit"].forEach(function(key) {
+					if(config[key] !== undefined) {
+						result[key] = actionList(config[key], at + "." + key);
+					}
+				});
+				return result;
+			}).filter(Boolean);
+		};
+		var transitions = function(list, path) {
+			return toList(list).map(function(transition, i) {
+				if(!isObject(transition) || transition.to === undefined) {
+					fail(path + "[" + i + "]", "a transition must be {from, to, guard}");
+					return null;
+				}
+				return {from: transition.from, to: transition.to, guard: guard(transition.guard, path + "[" + i + "].guard")};
+			}).filter(Boolean);
+		};
+
+		if(!isObject(def)) {
+			throw new State.DefinitionError("The definition must be an object", {errors: [{path: "definition", message: "must be an object"}]});
+		}
+		var config = {
+			initState  : def.initState !== undefined ? def.initState : def.initial,
+			context    : def.context,
+			strict     : def.strict,
+			version    : def.version,
+			maxHistory : def.maxHistory
+		};
+		if(def.regions !== undefined) {
+			config.regions = {};
+			Object.keys(isObject(def.regions) ? def.regions : {}).forEach(function(name) {
+				var region = def.regions[name] || {};
+				config.regions[name] = {
+					initState   : region.initState !== undefined ? region.initState : region.initial,
+					states      : states(region.states || [], "regions." + name + ".states"),
+					transitions : transitions(region.transitions || [], "regions." + name + ".transitions")
+				};
+			});
+		} else if(def.states === undefined) {
+			fail("states", "a machine needs states or regions");
+		}
+		if(def.states !== undefined) {
+			config.states = states(def.states, "states");
+		}
+		config.transitions = transitions(def.transitions || [], "transitions");
+
+		if(errors.length === 0) {
+			var fsm = new State(config);
+
+			//now the states exist we can check that everything named is one of them
+			var check = function(name, path, from) {
+				if(name !== "*" && !resolve(fsm, name, from)) {
+					fail(path, "unknown state \"" + name + "\"");
+				}
+			};
+			if(config.initState !== undefined) {
+				check(config.initState, "initState");
+			}
+			Object.keys(config.regions || {}).forEach(function(name) {
+				if(config.regions[name].initState !== undefined) {
+					check(name + "." + config.regions[name].initState, "regions." + name + ".initState");
+				}
+			});
+			fsm.transitions.forEach(function(transition, i) {
+				transition.from.concat(transition.to).forEach(function(name) {
+					check(name, "transitions[" + i + "]");
+				});
+			});
+			fsm.states.forEach(function(id) {
+				var events = fsm.nodes[id].events;
+				Object.keys(events).forEach(function(event) {
+					events[event].forEach(function(handler) {
+						if(handler.target) {
+							check(handler.target, "\"" + id + "\".on." + event, id);
+						}
+					});
+				});
+			});
+		}
+
+		if(errors.length > 0) {
+			//the machine we checked against is thrown away, so its timers mustn't go off later
+			if(fsm) {
+				stopTimers(fsm, activeStates(fsm));
+			}
+			throw new State.DefinitionError("Invalid state machine definition:\n" + errors.map(function(error) {
+				return "  " + error.path + ": " + error.message;
+			}).join("\n"), {errors: errors});
+		}
+		return fsm;
+	};
+
+	/**
+	 * fromSCXML builds a machine from an SCXML document.  It understands <state>, a top level <parallel>
+	 * 		(as regions), initial attributes, <history>, <transition> with an event, a target and a cond
+	 * 		naming one of options.guards (event "go" ones go in the transition table, like toSCXML
+	 * 		writes them), delayed <send>s on entry (as after) and <data> whose expr is JSON (as the
+	 * 		context).  Anything else is an unsupported feature: they are all listed in the
+	 * 		State.DefinitionError that is thrown, unless options.ignoreUnsupported is set.
+	 * @function
+	 * @public static on State
+	 * @param {string} xml - the SCXML source
+	 * @param {object} options - optionally {guards, actions, ignoreUnsupported}
+	 * @return {State} the machine
+	**/
+	State.fromSCXML = function(xml, options) {
+		options = options || {};
+		var doc = parseXML(String(xml));
+		var errors = [];
+		var unsupported = [];
+		var ids = {};
+
+		if(doc.tag !== "scxml") {
+			throw new State.DefinitionError("The root element must be <scxml>", {errors: [{path: describeElement(doc), message: "not <scxml>"}]});
+		}
+
+		//first work out the full id each SCXML id will have, they are dotted below their parent's unless
+		//they already are (like toSCXML writes them)
+		var name = function(element, parent) {
+			var id = element.attrs.id || "";
+			return parent && id.indexOf(parent + ".") === 0 ? id.slice(parent.length + 1) : id;
+		};
+		var collect = function(element, parent) {
+			element.children.forEach(function(child) {
+				if(child.tag === "state" || child.tag === "parallel" || child.tag === "final") {
+					if(!child.attrs.id) {
+						errors.push({path: describeElement(child), message: "states need an id"});
+						return;
+					}
+					var id = parent ? parent + "." + name(child, parent) : name(child, parent);
+					ids[child.attrs.id] = id;
+					collect(child, id);
+				}
+			});
+		};
+		var top = doc.children.filter(function(child) {
+			return ["state", "parallel", "final"].indexOf(child.tag) !== -1;
+		});
+		var regions = top.length === 1 && top[0].tag === "parallel" ? top[0] : null;
+		if(regions) {
+			collect(regions, null);
+		} else {
+			collect(doc, null);
+		}
+		var target = function(element) {
+			var targets = (element.attrs.target || "").split(/\s+/).filter(Boolean);
+			if(targets.length > 1) {
+				unsupported.push(describeElement(element) + ": more than one target");
+			}
+			if(targets[0] && !ids[targets[0]]) {
+				errors.push({path: describeElement(element), message: "unknown target \"" + targets[0] + "\""});
+			}
+			return targets[0] ? ids[targets[0]] : undefined;
+		};
+
+		var context = {};
+		var transitions = [];
+		var state = function(element, parent) {
+			var id = parent ? parent + "." + name(element, parent) : name(element, parent);
+			var config = {name: name(element, parent)};
+			var delays = {};
+			if(element.tag === "final") {
+				unsupported.push(describeElement(element) + ": final states (loaded as a plain state)");
+			}
+			if(element.attrs.initial) {
+				var initial = ids[element.attrs.initial.split(/\s+/)[0]];
+				if(!initial) {
+					errors.push({path: describeElement(element), message: "unknown initial state \"" + element.attrs.initial + "\""});
+				} else {
+					config.initial = initial.slice(id.length + 1);
+				}
+			}
+			element.children.forEach(function(child) {
+				switch(child.tag) {
+					case "state":
+					case "final":
+						config.states = (config.states || []).concat(state(child, id));
+						break;
+					case "history":
+						config.history = child.attrs.type === "deep" ? "deep" : "shallow";
+						break;
+					case "onentry":
+						child.children.forEach(function(action) {
+							if(action.tag === "send" && action.attrs.event && action.attrs.delay && !action.attrs.target) {
+								if(isNaN(delayOf(action.attrs.delay))) {
+									errors.push({path: describeElement(action), message: "unknown delay \"" + action.attrs.delay + "\""});
+								}
+								delays[action.attrs.event] = delayOf(action.attrs.delay);
+							} else {
+								unsupported.push(describeElement(action) + " in <onentry>: only delayed <send>s of events are supported");
+							}
+						});
+						break;
+					case "transition":
+						var event = child.attrs.event;
+						var handler = {target: target(child)};
+						if(child.attrs.cond) {
+							if(typeof (options.guards || {})[child.attrs.cond] !== "function") {
+								errors.push({path: describeElement(child), message: "unknown guard \"" + child.attrs.cond + "\""});
+							}
+							handler.guard = child.attrs.cond;
+						}
+						if(child.attrs.type === "internal") {
+							unsupported.push(describeElement(child) + ": internal transitions (loaded as external)");
+						}
+						if(child.children.length > 0) {
+							unsupported.push(describeElement(child) + ": executable content");
+						}
+						if(!event) {
+							unsupported.push(describeElement(child) + ": eventless transitions");
+						} else if(event.split(/\s+/).length > 1 || /[*]/.test(event)) {
+							unsupported.push(describeElement(child) + ": lists of events and wildcard events");
+						} else if(event === "go") {
+							transitions.push({from: id, to: handler.target, guard: handler.guard});
+						} else {
+							config.on = config.on || {};
+							config.on[event] = (config.on[event] || []).concat(handler);
+						}
+						break;
+					default:
+						unsupported.push(describeElement(child) + " in <" + element.tag + ">");
+				}
+			});
+
+			//events sent with a delay on entry are delayed transitions
+			Object.keys(delays).forEach(function(event) {
+				config.after = config.after || {};
+				config.after[delays[event]] = (config.on || {})[event] || [];
+				if(config.on) {
+					delete config.on[event];
+				}
+			});
+			return config;
+		};
+
+		var def = {};
+		doc.children.forEach(function(child) {
+			if(child.tag === "datamodel") {
+				child.children.forEach(function(data) {
+					try {
+						context[data.attrs.id] = JSON.parse(data.attrs.expr);
+					} catch(e) {
+						unsupported.push(describeElement(data) + ": data whose expr isn't JSON");
+					}
+				});
+			} else if(["state", "parallel", "final"].indexOf(child.tag) === -1) {
+				unsupported.push(describeElement(child) + " in <scxml>");
+			}
+		});
+		if(regions) {
+			def.regions = {};
+			regions.children.forEach(function(child) {
+				if(child.tag !== "state") {
+					unsupported.push(describeElement(child) + " in <parallel>");
+					return;
+				}
+				var region = state(child, null);
+				def.regions[region.name] = {initState: region.initial, states: region.states || [], transitions: []};
+			});
+		} else {
+			def.states = top.map(function(child) {
+				if(child.tag === "parallel") {
+					unsupported.push(describeElement(child) + ": only a single top level <parallel> is supported");
+				}
+				return state(child, null);
+			});
+			def.initState = doc.attrs.initial ? ids[doc.attrs.initial.split(/\s+/)[0]] : (def.states[0] || {}).name;
+			if(doc.attrs.initial && !def.initState) {
+				errors.push({path: describeElement(doc), message: "unknown initial state \"" + doc.attrs.initial + "\""});
+			}
+		}
+		//with regions each transition belongs to the region it is in, so regions without any stay free
+		if(regions) {
+			transitions.forEach(function(transition) {
+				def.regions[transition.from.split(".")[0]].transitions.push(transition);
+			});
+			transitions = [];
+		}
+		def.transitions = transitions;
+		def.context = context;
+
+		if(errors.length > 0 || (unsupported.length > 0 && !options.ignoreUnsupported)) {
+			throw new State.DefinitionError("Can't load the SCXML:\n" + errors.map(function(error) {
+				return "  " + error.path + ": " + error.message;
+			}).concat(unsupported.map(function(feature) {
+				return "  unsupported " + feature;
+			})).join("\n"), {errors: errors, unsupported: unsupported});
+		}
+		return State.fromJSON(def, options);
+	};
+
+	//return the Constructor, the loader above decides where it ends up
+	return State;
+});
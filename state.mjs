@@ -0,0 +1,8 @@
+/**
+ * ES module entry point for State.js, which is itself a UMD file.  Node and bundlers hand the
+ * 		CommonJS export of state.js over as the default export, and we also re-export it by name.
+**/
+import State from "./state.js";
+
+export { State };
+export default State;